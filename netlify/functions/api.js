@@ -0,0 +1,4 @@
+// JSON API for the web dashboard (dashboard.html), reached at /api/* through the redirect in netlify.toml
+const { handleApiRequest } = require('./webhook');
+
+exports.handler = async (event) => handleApiRequest(event);
@@ -0,0 +1,269 @@
+// netlify/functions/lib/ledger.js - the ledger: every expense entry, its copies and the audit trail.
+// Handlers read and write entries through these functions rather than the tabs, so what holds the
+// ledger (lib/storage.js picks the Google Sheet or the local file) stays in this one place.
+const crypto = require('crypto');
+const { getSheetWithHeaders } = require('./storage');
+
+const KEEP_MASTER_SHEET = process.env.KEEP_MASTER_SHEET !== 'false';
+
+const LEDGER_HEADERS = [
+  'Entry ID', 'Date', 'Vendor', 'Category', 'Amount', 'Business Type', 'Entity',
+  'Deductible %', 'Tax Notes', 'Description', 'Work Description', 'Receipt URL', 'Status',
+  'Logged At', 'Linked Entry', 'Import ID', 'Receipt Hash', 'Parent Entry',
+  'Original Amount', 'Currency', 'Exchange Rate', 'Submitted By'
+];
+
+// Entity ledger tabs - every expense row lives in exactly one of these
+const LEDGER_TABS = {
+  scorp: 'S-Corp',
+  family_llc: 'Family LLC',
+  personal: 'Personal'
+};
+
+// The combined view the bot used to write to before rows were routed by entity
+const MASTER_SHEET_TITLES = ['Sheet1', 'Master Sheet'];
+
+// Columns kept identical on both sides of an intercompany pair
+const LINKED_COLUMNS = ['Date', 'Amount', 'Status', 'Original Amount', 'Currency', 'Exchange Rate'];
+
+// Business Type for the receiving side of an intercompany item - income, not an expense
+const INTERCOMPANY_INCOME = 'intercompany_income';
+
+// Voided rows stay in the sheet for the audit trail but drop out of every total
+const VOIDED_STATUS = 'Voided';
+// A split entry keeps its original amount and receipt for reference; its parts carry the totals
+const SPLIT_STATUS = 'Split';
+// Contractor submissions stay out of the totals until an owner approves them
+const PENDING_APPROVAL_STATUS = 'Pending Approval';
+// Set on rows saved without a person looking at them (statement imports) when the AI wasn't sure
+const NEEDS_REVIEW_STATUS = 'Needs Review';
+
+const AUDIT_LOG_TITLE = 'Audit Log';
+const AUDIT_LOG_HEADERS = ['Timestamp', 'Chat ID', 'User', 'Action', 'Entry ID', 'Old Values', 'New Values', 'Undone At'];
+
+// Short permanent ID like "A7F3", unique within the ledger
+function generateEntryId(existingIds) {
+  let id;
+  do {
+    id = crypto.randomBytes(2).toString('hex').toUpperCase();
+  } while (existingIds.has(id));
+  return id;
+}
+
+function normalizeEntryId(entryId) {
+  return (entryId || '').toString().trim().replace(/^#/, '').toUpperCase();
+}
+
+function isVoided(row) {
+  return row.get('Status') === VOIDED_STATUS;
+}
+
+function isSplit(row) {
+  return row.get('Status') === SPLIT_STATUS;
+}
+
+function isPendingApproval(row) {
+  return row.get('Status') === PENDING_APPROVAL_STATUS;
+}
+
+// Whether a row counts towards totals - voided rows, split parents and unapproved submissions don't
+function isCounted(row) {
+  return !isVoided(row) && !isSplit(row) && !isPendingApproval(row);
+}
+
+// Which entity tab an expense belongs in
+function ledgerTabFor(businessType, entityType) {
+  if (businessType === 'personal') {
+    return LEDGER_TABS.personal;
+  }
+  return entityType === 'family_llc' ? LEDGER_TABS.family_llc : LEDGER_TABS.scorp;
+}
+
+function getMasterSheetTitle(doc) {
+  return MASTER_SHEET_TITLES.find(title => doc.sheetsByTitle[title]) || null;
+}
+
+// Load every ledger entry. An entry is one expense: its row in an entity tab plus its copy on
+// the master sheet. Master rows with no entity-tab row were logged before routing existed and
+// count as entries on their own.
+// Read-only: nothing here changes the sheet. Anything that writes starts from prepareLedgerForWrite.
+async function getLedgerEntries(doc) {
+  const entries = [];
+  const byId = new Map();
+  
+  for (const title of Object.values(LEDGER_TABS)) {
+    const sheet = doc.sheetsByTitle[title];
+    if (!sheet) {
+      continue;
+    }
+    const rows = await sheet.getRows();
+    rows.forEach(row => {
+      const entry = { row, rows: [row], tab: title };
+      const entryId = normalizeEntryId(row.get('Entry ID'));
+      entries.push(entry);
+      if (entryId) {
+        byId.set(entryId, entry);
+      }
+    });
+  }
+  
+  const masterTitle = getMasterSheetTitle(doc);
+  if (masterTitle) {
+    const rows = await doc.sheetsByTitle[masterTitle].getRows();
+    rows.forEach(row => {
+      const entry = byId.get(normalizeEntryId(row.get('Entry ID')));
+      if (entry) {
+        entry.rows.push(row);
+      } else {
+        entries.push({ row, rows: [row], tab: masterTitle });
+      }
+    });
+  }
+  
+  // Oldest first, the way a single sheet reads. Rows from before "Logged At" existed stay at the top.
+  entries.sort((a, b) => (a.row.get('Logged At') || '').localeCompare(b.row.get('Logged At') || ''));
+  return entries;
+}
+
+// The one place the ledger is migrated: missing columns are added to every ledger tab, and rows
+// from before entry IDs existed are given one. Every write path loads its entries through this.
+async function prepareLedgerForWrite(doc) {
+  for (const title of [...Object.values(LEDGER_TABS), getMasterSheetTitle(doc)]) {
+    if (title && doc.sheetsByTitle[title]) {
+      await getSheetWithHeaders(doc, title, LEDGER_HEADERS);
+    }
+  }
+  
+  const entries = await getLedgerEntries(doc);
+  const existingIds = new Set(entries.map(entry => normalizeEntryId(entry.row.get('Entry ID'))).filter(Boolean));
+  for (const entry of entries.filter(candidate => !candidate.row.get('Entry ID'))) {
+    const entryId = generateEntryId(existingIds);
+    existingIds.add(entryId);
+    await updateEntryValues(doc, entries, entry, { 'Entry ID': entryId });
+  }
+  return entries;
+}
+
+function findEntryById(entries, entryId) {
+  const id = normalizeEntryId(entryId);
+  return entries.find(entry => normalizeEntryId(entry.row.get('Entry ID')) === id) || null;
+}
+
+// Move an entry's entity-tab row when its entity or business type changes
+async function relocateEntry(doc, entry) {
+  if (!Object.values(LEDGER_TABS).includes(entry.tab)) {
+    return;
+  }
+  
+  const targetTab = ledgerTabFor(entry.row.get('Business Type'), entry.row.get('Entity'));
+  if (targetTab === entry.tab) {
+    return;
+  }
+  
+  const sheet = await getSheetWithHeaders(doc, targetTab, LEDGER_HEADERS);
+  const moved = await sheet.addRow(entry.row.toObject());
+  await entry.row.delete();
+  
+  entry.rows = entry.rows.map(row => (row === entry.row ? moved : row));
+  entry.row = moved;
+  entry.tab = targetTab;
+}
+
+// Write values to every copy of an entry, and the shared columns to its intercompany twin
+async function updateEntryValues(doc, entries, entry, values) {
+  const targets = [{ entry, values }];
+  const linked = entry.row.get('Linked Entry') ? findEntryById(entries, entry.row.get('Linked Entry')) : null;
+  
+  if (linked) {
+    const shared = {};
+    LINKED_COLUMNS.filter(column => column in values).forEach(column => {
+      shared[column] = values[column];
+    });
+    if (Object.keys(shared).length > 0) {
+      targets.push({ entry: linked, values: shared });
+    }
+  }
+  
+  for (const target of targets) {
+    for (const row of target.entry.rows) {
+      Object.entries(target.values).forEach(([column, value]) => row.set(column, value));
+      await row.save();
+    }
+    if ('Entity' in target.values || 'Business Type' in target.values) {
+      await relocateEntry(doc, target.entry);
+    }
+  }
+  
+  return linked;
+}
+
+function buildAuditRow(actor, action, entryId, oldValues, newValues) {
+  return {
+    'Timestamp': new Date().toISOString(),
+    'Chat ID': actor.chatId || '',
+    'User': actor.user || '',
+    'Action': action,
+    'Entry ID': entryId,
+    'Old Values': oldValues ? JSON.stringify(oldValues) : '',
+    'New Values': newValues ? JSON.stringify(newValues) : '',
+    'Undone At': ''
+  };
+}
+
+// Append one row to the Audit Log tab. Never edited afterwards except to stamp "Undone At".
+async function writeAuditLog(doc, actor, action, entryId, oldValues, newValues) {
+  const sheet = await getSheetWithHeaders(doc, AUDIT_LOG_TITLE, AUDIT_LOG_HEADERS);
+  await sheet.addRow(buildAuditRow(actor, action, entryId, oldValues, newValues));
+}
+
+// The audit trail, oldest first - empty until the first change is logged
+async function getAuditRows(doc) {
+  const sheet = doc.sheetsByTitle[AUDIT_LOG_TITLE];
+  return sheet ? sheet.getRows() : [];
+}
+
+// Write ledger rows to their entity tabs (and the master view, if kept) along with their audit
+// rows - one request per tab, so a whole statement import costs the same as a single expense.
+async function writeLedgerRows(doc, rows, auditRows) {
+  const rowsByTab = {};
+  rows.forEach(data => {
+    const tab = ledgerTabFor(data['Business Type'], data['Entity']);
+    (rowsByTab[tab] ||= []).push(data);
+  });
+  
+  for (const [tab, tabRows] of Object.entries(rowsByTab)) {
+    const sheet = await getSheetWithHeaders(doc, tab, LEDGER_HEADERS);
+    await sheet.addRows(tabRows);
+  }
+  
+  if (KEEP_MASTER_SHEET) {
+    const master = await getSheetWithHeaders(doc, getMasterSheetTitle(doc) || MASTER_SHEET_TITLES[0], LEDGER_HEADERS);
+    await master.addRows(Object.values(rowsByTab).flat());
+  }
+  
+  const auditSheet = await getSheetWithHeaders(doc, AUDIT_LOG_TITLE, AUDIT_LOG_HEADERS);
+  await auditSheet.addRows(auditRows);
+}
+
+exports.LEDGER_TABS = LEDGER_TABS;
+exports.LINKED_COLUMNS = LINKED_COLUMNS;
+exports.INTERCOMPANY_INCOME = INTERCOMPANY_INCOME;
+exports.VOIDED_STATUS = VOIDED_STATUS;
+exports.SPLIT_STATUS = SPLIT_STATUS;
+exports.PENDING_APPROVAL_STATUS = PENDING_APPROVAL_STATUS;
+exports.NEEDS_REVIEW_STATUS = NEEDS_REVIEW_STATUS;
+exports.generateEntryId = generateEntryId;
+exports.normalizeEntryId = normalizeEntryId;
+exports.isVoided = isVoided;
+exports.isSplit = isSplit;
+exports.isPendingApproval = isPendingApproval;
+exports.isCounted = isCounted;
+exports.ledgerTabFor = ledgerTabFor;
+exports.getLedgerEntries = getLedgerEntries;
+exports.prepareLedgerForWrite = prepareLedgerForWrite;
+exports.findEntryById = findEntryById;
+exports.updateEntryValues = updateEntryValues;
+exports.writeLedgerRows = writeLedgerRows;
+exports.buildAuditRow = buildAuditRow;
+exports.writeAuditLog = writeAuditLog;
+exports.getAuditRows = getAuditRows;
@@ -0,0 +1,297 @@
+// netlify/functions/lib/storage.js - where the tabs live: the Google Sheet, or a local JSON file
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { JWT } = require('google-auth-library');
+const fs = require('fs');
+const path = require('path');
+
+const SHEET_ID = process.env.SHEET_ID;
+// "sheets" (default) or "local" - a JSON file, for running offline and for backups
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+const LOCAL_STORAGE_PATH = process.env.LOCAL_STORAGE_PATH || path.join(process.cwd(), '.data', 'expense-tracker.json');
+
+const GOOGLE_CREDENTIALS = {
+  client_email: process.env.GOOGLE_CLIENT_EMAIL,
+  private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+};
+
+// Initialize Google Sheets
+async function initGoogleSheet() {
+  const serviceAccountAuth = new JWT({
+    email: GOOGLE_CREDENTIALS.client_email,
+    key: GOOGLE_CREDENTIALS.private_key,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets']
+  });
+
+  const doc = new GoogleSpreadsheet(SHEET_ID, serviceAccountAuth);
+  await doc.loadInfo();
+  return doc;
+}
+
+// Everything above the ledger talks to a "doc" with the google-spreadsheet surface:
+// doc.sheetsByTitle / doc.addSheet, sheet.headerValues / loadHeaderRow / setHeaderRow / resize /
+// getRows / addRow / addRows, and row.get / set / assign / save / delete / toObject.
+// LocalStore is the same surface over a JSON file. Like a sheet row, a LocalRow holds its own copy
+// of the values and saves them to its row number, re-reading the file first so writes made by
+// another process since getRows() aren't thrown away.
+class LocalRow {
+  constructor(sheet, rowNumber, data) {
+    this._sheet = sheet;
+    this._rowNumber = rowNumber;
+    this._data = data;
+    this._deleted = false;
+  }
+  
+  get rowNumber() {
+    return this._rowNumber;
+  }
+  
+  get(column) {
+    const value = this._data[column];
+    return value === '' || value === undefined ? undefined : value;
+  }
+  
+  set(column, value) {
+    if (!this._sheet.headerValues.includes(column)) {
+      throw new Error(`Column "${column}" not found in ${this._sheet.title}`);
+    }
+    this._data[column] = value === null || value === undefined ? '' : String(value);
+  }
+  
+  assign(values) {
+    Object.entries(values).forEach(([column, value]) => this.set(column, value));
+  }
+  
+  toObject() {
+    return { ...this._data };
+  }
+  
+  async save() {
+    if (this._deleted) {
+      throw new Error(`Row ${this._rowNumber} of ${this._sheet.title} has been deleted - call getRows again`);
+    }
+    this._sheet._write(rows => {
+      if (this._rowNumber - 2 >= rows.length) {
+        throw new Error(`Row ${this._rowNumber} of ${this._sheet.title} no longer exists`);
+      }
+      rows[this._rowNumber - 2] = { ...this._data };
+    });
+  }
+  
+  async delete() {
+    this._sheet._write(rows => rows.splice(this._rowNumber - 2, 1));
+    this._deleted = true;
+    this._sheet._shiftRows(this._rowNumber);
+  }
+}
+
+class LocalSheet {
+  constructor(store, title) {
+    this._store = store;
+    this.title = title;
+    // Rows handed out by this sheet, so a delete can move the ones below it up - as Sheets does
+    this._handedOut = [];
+  }
+  
+  get _tab() {
+    return this._store.data.tabs[this.title];
+  }
+  
+  get headerValues() {
+    return this._tab.headerValues;
+  }
+  
+  get rowCount() {
+    return this._tab.rows.length + 1;
+  }
+  
+  get columnCount() {
+    return Math.max(26, this.headerValues.length);
+  }
+  
+  _write(change) {
+    this._store.write(() => change(this._tab.rows));
+  }
+  
+  _shiftRows(deletedRowNumber) {
+    this._handedOut = this._handedOut.filter(row => !row._deleted);
+    this._handedOut.filter(row => row._rowNumber > deletedRowNumber).forEach(row => { row._rowNumber -= 1; });
+  }
+  
+  _handOut(rowNumber, data) {
+    const row = new LocalRow(this, rowNumber, { ...data });
+    this._handedOut.push(row);
+    return row;
+  }
+  
+  async loadHeaderRow() {
+    this._store.load();
+    if (this.headerValues.length === 0) {
+      throw new Error('No values in the header row');
+    }
+  }
+  
+  async setHeaderRow(headerValues) {
+    this._store.write(() => { this._tab.headerValues = [...headerValues]; });
+  }
+  
+  async resize() {
+    // Local tabs have no fixed grid size
+  }
+  
+  async getRows() {
+    this._store.load();
+    this._handedOut = [];
+    return this._tab.rows.map((data, index) => this._handOut(index + 2, data));
+  }
+  
+  async addRows(rowValues) {
+    let added = [];
+    this._store.write(() => {
+      added = rowValues.map(values => {
+        const data = {};
+        this.headerValues.forEach(column => {
+          data[column] = values[column] === null || values[column] === undefined ? '' : String(values[column]);
+        });
+        this._tab.rows.push(data);
+        return this._handOut(this._tab.rows.length + 1, data);
+      });
+    });
+    return added;
+  }
+  
+  async addRow(values) {
+    const [row] = await this.addRows([values]);
+    return row;
+  }
+}
+
+// All tabs in one JSON file: { "tabs": { "<title>": { "headerValues": [...], "rows": [{...}] } } }
+class LocalStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.loadedVersion = null;
+    this.data = { tabs: {} };
+    this.sheetsByTitle = {};
+  }
+  
+  // Which write of the file is on disk. The size is in there as well for filesystems whose
+  // modification times are too coarse to tell two quick writes apart.
+  fileVersion() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    const stat = fs.statSync(this.filePath);
+    return `${stat.mtimeMs}:${stat.size}`;
+  }
+  
+  // Re-read the file if another process changed it. Sheet objects are kept per title, so the ones
+  // handed out earlier read the new data too.
+  load() {
+    const version = this.fileVersion();
+    if (version === this.loadedVersion) {
+      return this;
+    }
+    
+    this.data = version === null ? { tabs: {} } : JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const sheets = {};
+    Object.keys(this.data.tabs).forEach(title => {
+      sheets[title] = this.sheetsByTitle[title] || new LocalSheet(this, title);
+    });
+    this.sheetsByTitle = sheets;
+    this.loadedVersion = version;
+    return this;
+  }
+  
+  // Apply a change to the latest copy of the file and write it straight back
+  write(change) {
+    this.load();
+    change(this.data);
+    this.persist();
+  }
+  
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+    this.loadedVersion = this.fileVersion();
+  }
+  
+  async addSheet({ title, headerValues = [] }) {
+    this.write(data => {
+      data.tabs[title] = { headerValues: [...headerValues], rows: [] };
+    });
+    this.sheetsByTitle[title] ||= new LocalSheet(this, title);
+    return this.sheetsByTitle[title];
+  }
+}
+
+const localStores = {};
+
+function openLocalStore(filePath = LOCAL_STORAGE_PATH) {
+  localStores[filePath] ||= new LocalStore(filePath);
+  return localStores[filePath].load();
+}
+
+// The tabs' storage, picked by STORAGE_BACKEND
+async function initStorage() {
+  if (STORAGE_BACKEND === 'local') {
+    return openLocalStore();
+  }
+  return initGoogleSheet();
+}
+
+// Make sure a tab exists and has every column we write to, appending any that are missing
+async function getSheetWithHeaders(doc, title, headerValues) {
+  let sheet = doc.sheetsByTitle[title];
+  if (!sheet) {
+    return doc.addSheet({ title, headerValues });
+  }
+
+  let existing = [];
+  try {
+    await sheet.loadHeaderRow();
+    existing = sheet.headerValues;
+  } catch (error) {
+    // Blank header row - fall through and write the full set
+  }
+
+  const missing = headerValues.filter(header => !existing.includes(header));
+  if (missing.length > 0) {
+    const updated = [...existing, ...missing];
+    if (updated.length > sheet.columnCount) {
+      await sheet.resize({ rowCount: sheet.rowCount, columnCount: updated.length });
+    }
+    await sheet.setHeaderRow(updated);
+  }
+
+  return sheet;
+}
+
+// Snapshot every tab of the Google Sheet into a local JSON store, replacing what was there
+async function backupSheetToLocal(filePath = LOCAL_STORAGE_PATH) {
+  const doc = await initGoogleSheet();
+  const store = openLocalStore(filePath);
+  const tabs = {};
+  
+  for (const sheet of Object.values(doc.sheetsByTitle)) {
+    try {
+      await sheet.loadHeaderRow();
+    } catch (error) {
+      continue; // empty tab
+    }
+    const rows = await sheet.getRows();
+    tabs[sheet.title] = { headerValues: [...sheet.headerValues], rows: rows.map(row => row.toObject()) };
+  }
+  
+  store.write(data => { data.tabs = tabs; });
+  store.loadedVersion = null;
+  store.load();
+  
+  return Object.entries(tabs).map(([title, tab]) => ({ title, rows: tab.rows.length }));
+}
+
+exports.GOOGLE_CREDENTIALS = GOOGLE_CREDENTIALS;
+exports.LocalStore = LocalStore;
+exports.openLocalStore = openLocalStore;
+exports.initStorage = initStorage;
+exports.getSheetWithHeaders = getSheetWithHeaders;
+exports.backupSheetToLocal = backupSheetToLocal;
@@ -0,0 +1,16 @@
+// Background function (the "-background" suffix) - Netlify answers the webhook's hand-off with 202
+// at once and gives this up to 15 minutes for receipt OCR, AI calls and statement imports
+const { hasValidSecretToken, processUpdate } = require('./webhook');
+
+exports.handler = async (event) => {
+  if (!hasValidSecretToken(event)) {
+    console.error('Rejected a background call without a valid secret token');
+    return;
+  }
+  
+  try {
+    await processUpdate(JSON.parse(event.body));
+  } catch (error) {
+    console.error('Error processing update in the background:', error);
+  }
+};
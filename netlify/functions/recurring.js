@@ -0,0 +1,13 @@
+// Scheduled daily (see netlify.toml) - posts recurring expenses that have come due
+const { postDueRecurringExpenses } = require('./webhook');
+
+exports.handler = async () => {
+  try {
+    const result = await postDueRecurringExpenses();
+    console.log(`Posted ${result.posted.length} recurring expenses:`, result.posted.map(posted => posted.entryId));
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (error) {
+    console.error('Error posting recurring expenses:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+};
@@ -1,23 +1,51 @@
 // netlify/functions/webhook.js - Firebase Storage Version
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const path = require('path');
+const { GOOGLE_CREDENTIALS, initStorage, getSheetWithHeaders } = require('./lib/storage');
+const {
+  LEDGER_TABS, LINKED_COLUMNS, INTERCOMPANY_INCOME, VOIDED_STATUS, SPLIT_STATUS, PENDING_APPROVAL_STATUS, NEEDS_REVIEW_STATUS,
+  generateEntryId, normalizeEntryId, isVoided, isSplit, isPendingApproval, isCounted, ledgerTabFor,
+  getLedgerEntries, prepareLedgerForWrite, findEntryById, updateEntryValues, writeLedgerRows,
+  buildAuditRow, writeAuditLog, getAuditRows
+} = require('./lib/ledger');
 
 // Environment Variables
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
+// Passed to setWebhook as secret_token; Telegram echoes it back on every update
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+// Set by Netlify - used to reach the background function
+const SITE_URL = process.env.URL;
 const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
+// "anthropic" (default), "openai" (or any OpenAI-compatible API via AI_BASE_URL), or "offline" for the local rules only
+const AI_PROVIDER = (process.env.AI_PROVIDER || 'anthropic').toLowerCase();
+const AI_MODEL = process.env.AI_MODEL || (AI_PROVIDER === 'openai' ? 'gpt-4o-mini' : 'claude-3-5-sonnet-20241022');
+const AI_API_KEY = process.env.AI_API_KEY || CLAUDE_API_KEY;
+const AI_BASE_URL = (process.env.AI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+// Older flat allow-list - every chat here without an entry in USER_ROLES is an owner
 const AUTHORIZED_CHAT_IDS = process.env.AUTHORIZED_CHAT_IDS?.split(',') || [];
-const SHEET_ID = process.env.SHEET_ID;
-
-const GOOGLE_CREDENTIALS = {
-  client_email: process.env.GOOGLE_CLIENT_EMAIL,
-  private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n')
-};
-
+// "<user or chat ID>:<role>" pairs, e.g. "111:owner,222:bookkeeper,333:contractor"
+const USER_ROLES = process.env.USER_ROLES || '';
+const EXPORT_API_KEY = process.env.EXPORT_API_KEY;
+// Signs the dashboard login links handed out by /dashboard
+const DASHBOARD_SECRET = process.env.DASHBOARD_SECRET;
+const EXPORT_BANK_ACCOUNT = process.env.EXPORT_BANK_ACCOUNT || 'Business Checking';
+const ACCOUNT_MAP_JSON = process.env.ACCOUNT_MAP_JSON;
 // Firebase will use the same Google credentials
 const FIREBASE_STORAGE_BUCKET = process.env.FIREBASE_STORAGE_BUCKET;
 
-const STANDARD_DEDUCTION_2025 = 14600;
+// Tax figures by year. Add the next year here once the IRS publishes it.
+// standardDeduction is the single-filer amount - the son's contract-labor ceiling.
+const TAX_YEAR_RULES = {
+  2023: { standardDeduction: 13850, businessMealPercentage: 50, mileageRate: 0.655, deMinimisThreshold: 2500, form1099Threshold: 600 },
+  2024: { standardDeduction: 14600, businessMealPercentage: 50, mileageRate: 0.67, deMinimisThreshold: 2500, form1099Threshold: 600 },
+  2025: { standardDeduction: 15750, businessMealPercentage: 50, mileageRate: 0.70, deMinimisThreshold: 2500, form1099Threshold: 600 },
+  2026: { standardDeduction: 16100, businessMealPercentage: 50, mileageRate: 0.725, deMinimisThreshold: 2500, form1099Threshold: 2000 }
+};
+
+// Contract-labor warnings fire when a payment crosses these shares of the standard deduction
+const CONTRACT_LABOR_ALERT_LEVELS = [0.8, 1];
 
 // Initialize Firebase Admin (only once)
 let firebaseInitialized = false;
@@ -37,27 +65,194 @@ function initFirebase() {
   }
 }
 
-// Initialize Google Sheets
-async function initGoogleSheet() {
-  const serviceAccountAuth = new JWT({
-    email: GOOGLE_CREDENTIALS.client_email,
-    key: GOOGLE_CREDENTIALS.private_key,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets']
-  });
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Format a Date as YYYY-MM-DD (UTC, same as the sheet has always used)
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Build a UTC date, or null for impossible dates like 2/30
+function buildDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+// Dates without a year belong to the most recent matching day that isn't in the future
+function buildDateWithoutYear(month, day, today) {
+  const thisYear = buildDate(today.getUTCFullYear(), month, day);
+  if (thisYear && formatDate(thisYear) <= formatDate(today)) {
+    return thisYear;
+  }
+  return buildDate(today.getUTCFullYear() - 1, month, day);
+}
+
+function expandYear(year) {
+  return year < 100 ? 2000 + year : year;
+}
+
+// Pull a transaction date out of a message or OCR text ("yesterday", "3/14", "March 14, 2025")
+function parseTransactionDate(text, today = new Date()) {
+  if (!text) {
+    return null;
+  }
+
+  const lower = text.toLowerCase();
+  const monthPattern = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])\\.?';
+  let match;
+  let date = null;
+
+  // 2025-03-14
+  if ((match = lower.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    date = buildDate(+match[1], +match[2], +match[3]);
+  }
+
+  // 03/14/2025, 3-14-25 (US month-first order)
+  if (!date && (match = lower.match(/\b(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2}|\d{4})\b/))) {
+    date = buildDate(expandYear(+match[3]), +match[1], +match[2]);
+  }
+
+  // 3/14
+  if (!date && (match = lower.match(/\b(\d{1,2})\/(\d{1,2})\b/))) {
+    date = buildDateWithoutYear(+match[1], +match[2], today);
+  }
+
+  // March 14, Mar 14th 2025
+  if (!date && (match = lower.match(new RegExp(`\\b${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`)))) {
+    const month = MONTH_NAMES.indexOf(match[1].slice(0, 3)) + 1;
+    date = match[3] ? buildDate(+match[3], month, +match[2]) : buildDateWithoutYear(month, +match[2], today);
+  }
+
+  // 14 March 2025
+  if (!date && (match = lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${monthPattern}(?:,?\\s+(\\d{4}))?`)))) {
+    const month = MONTH_NAMES.indexOf(match[2].slice(0, 3)) + 1;
+    date = match[3] ? buildDate(+match[3], month, +match[1]) : buildDateWithoutYear(month, +match[1], today);
+  }
+
+  if (date) {
+    return formatDate(date);
+  }
+
+  const startOfToday = buildDate(today.getUTCFullYear(), today.getUTCMonth() + 1, today.getUTCDate());
+  const daysBefore = (days) => formatDate(new Date(startOfToday.getTime() - days * MS_PER_DAY));
+
+  if (/\byesterday\b/.test(lower)) {
+    return daysBefore(1);
+  }
+  if ((match = lower.match(/\b(\d{1,2}) days? ago\b/))) {
+    return daysBefore(+match[1]);
+  }
+  // "last Friday", "on Tuesday", or a weekday that is the whole date ("/edit A7F3 date friday").
+  // Anywhere else a weekday is usually part of something else - "Sunday brunch", "Friday Harbor ferry".
+  const weekdayPattern = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+  if ((match = lower.match(new RegExp(`\\b(?:last|on|this past)\\s+${weekdayPattern}\\b`)) ||
+    lower.trim().match(new RegExp(`^${weekdayPattern}$`)))) {
+    const diff = (startOfToday.getUTCDay() - WEEKDAY_NAMES.indexOf(match[1]) + 7) % 7 || 7;
+    return daysBefore(diff);
+  }
+  if (/\btoday\b|\btonight\b/.test(lower)) {
+    return formatDate(startOfToday);
+  }
+
+  return null;
+}
+
+function isValidISODate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date || '') && !!buildDate(+date.slice(0, 4), +date.slice(5, 7), +date.slice(8, 10));
+}
+
+// Check a YYYY-MM-DD transaction date: no future dates, warn when it lands in another tax year
+function checkTransactionDate(date, today = new Date()) {
+  const todayStr = formatDate(today);
+
+  if (!isValidISODate(date)) {
+    return { valid: false, error: `"${date}" is not a valid date. Use YYYY-MM-DD, e.g. ${todayStr}` };
+  }
+
+  if (date > todayStr) {
+    return { valid: false, error: `${date} is in the future` };
+  }
 
-  const doc = new GoogleSpreadsheet(SHEET_ID, serviceAccountAuth);
-  await doc.loadInfo();
-  return doc;
+  const warnings = [];
+  const taxYear = date.slice(0, 4);
+  if (taxYear !== todayStr.slice(0, 4)) {
+    warnings.push(`Dated ${date} - this counts toward the ${taxYear} tax year, not ${todayStr.slice(0, 4)}`);
+  }
+
+  return { valid: true, date, warnings };
+}
+
+// Decide which date to record: the AI's reading first, then our own parser, then today
+function resolveTransactionDate(aiDate, sourceText, today = new Date()) {
+  const todayStr = formatDate(today);
+  const candidates = [aiDate, parseTransactionDate(sourceText, today)].filter(Boolean);
+  const warnings = [];
+
+  for (const candidate of candidates) {
+    const check = checkTransactionDate(candidate, today);
+    if (check.valid) {
+      return { date: check.date, warnings: check.warnings };
+    }
+    warnings.push(`Ignored date ${candidate}: ${check.error}`);
+  }
+
+  if (warnings.length > 0) {
+    warnings.push(`Recorded as ${todayStr} - use /date to correct it`);
+  }
+
+  return { date: todayStr, warnings };
+}
+
+// Rules for a tax year. Years not in the table fall back to the closest year we have, flagged as estimated.
+function getTaxYearRules(year) {
+  const years = Object.keys(TAX_YEAR_RULES).map(Number).sort((a, b) => a - b);
+  const taxYear = parseInt(year) || new Date().getUTCFullYear();
+  
+  if (TAX_YEAR_RULES[taxYear]) {
+    return { year: taxYear, estimated: false, ...TAX_YEAR_RULES[taxYear] };
+  }
+  
+  const fallback = years.filter(known => known < taxYear).pop() || years[0];
+  return { year: taxYear, estimated: true, basedOn: fallback, ...TAX_YEAR_RULES[fallback] };
+}
+
+// Bring an expense in line with its tax year's rules and return anything worth flagging
+function applyTaxYearRules(expenseData) {
+  const rules = getTaxYearRules((expenseData.transactionDate || '').slice(0, 4));
+  const warnings = [];
+  
+  if (rules.estimated) {
+    warnings.push(`No ${rules.year} tax rules on file yet - using ${rules.basedOn} figures`);
+  }
+  
+  if (expenseData.category === 'Business Meals' && expenseData.businessType !== 'personal') {
+    expenseData.deductibilityPercentage = rules.businessMealPercentage;
+  }
+  
+  if (['Equipment/Software', 'Equipment/Supplies'].includes(expenseData.category) && parseFloat(expenseData.amount) > rules.deMinimisThreshold) {
+    warnings.push(`Over the $${rules.deMinimisThreshold} de minimis limit - this may need to be depreciated instead of expensed`);
+  }
+  
+  return warnings;
 }
 
 // Process expense with Claude AI
 async function processExpenseWithAI(description) {
+  const today = formatDate(new Date());
+  const rules = getTaxYearRules(today.slice(0, 4));
+
   const prompt = `
 You are an AI assistant specialized in S-Corp and Family LLC expense categorization for US tax purposes.
 
 Analyze this expense description and respond with ONLY a valid JSON object in this exact format:
 {
-  "amount": number,
+  "amount": number (in the currency the receipt or message is written in - do not convert),
+  "currency": "ISO 4217 code of the amount, e.g. USD, EUR, GBP, CAD",
   "vendor": "string",
   "category": "string",
   "businessType": "business" or "personal" or "family_llc",
@@ -66,16 +261,25 @@ Analyze this expense description and respond with ONLY a valid JSON object in th
   "deductibilityPercentage": number (0-100),
   "taxNotes": "string explaining deductibility rules",
   "suggestedDescription": "cleaned up description",
-  "workDescription": "if applicable, brief work description for family LLC payments"
+  "workDescription": "if applicable, brief work description for family LLC payments",
+  "transactionDate": "YYYY-MM-DD date the purchase happened, or null if no date is given",
+  "intercompany": true or false (true only for payments between the S-Corp and the Family LLC),
+  "confidence": number (0-1, how sure you are of the amount, vendor and category together),
+  "splits": null, or for a receipt that mixes categories, entities or personal items, an array of
+    { "amount": number, "category": "string", "entityType": "scorp" or "family_llc", "businessType": "business" or "personal" or "family_llc", "description": "string" }
+    whose amounts add up exactly to "amount"
 }
 
+Today's date is ${today}. Resolve relative dates like "yesterday" or "last Friday" against it.
+For receipts, use the printed transaction date, not today's date.
+
 Business Entity Rules:
 S-Corp Tax Categories:
-- Business Meals: 50% deductible (business-related only)
+- Business Meals: ${rules.businessMealPercentage}% deductible (business-related only)
 - Office Supplies: 100% deductible
 - Professional Services: 100% deductible (including Family LLC management fees)
 - Travel Expenses: 100% deductible (business travel)
-- Equipment/Software: 100% deductible
+- Equipment/Software: 100% deductible (items over $${rules.deMinimisThreshold} each may need to be depreciated - say so in taxNotes)
 - Marketing/Advertising: 100% deductible
 - Training/Education: 100% deductible
 - Vehicle Expenses: 100% deductible (verify business use)
@@ -88,316 +292,5037 @@ Family LLC Categories:
 - Professional Services: 100% deductible
 
 Special Cases:
-- "Family LLC management fee" or "$1100 management" = Professional Services to Family LLC
+- "Family LLC management fee" or "$1100 management" = Professional Services to Family LLC, entityType "scorp", intercompany true
 - Payments to son for video editing, maintenance = Contract Labor from Family LLC
 - Venmo payments to son = Contract Labor from Family LLC
 - Rental cars, travel = Travel Expenses, 100% deductible
 - Receipt text: Extract vendor, amount, and categorize based on the receipt content
+- Foreign receipts: report the amount and currency exactly as printed (e.g. 45.50 EUR); the conversion to USD is done separately
 - Additional context: Include any additional context or notes provided in the workDescription field
+- Mixed receipts (e.g. a Costco run with office supplies and groceries, or a trip that is part personal): set "splits" with one item per category/entity/personal portion and use the main category for the largest part
 
 Expense Description: "${description}"
 
 Your entire response MUST ONLY be a single, valid JSON object. DO NOT include backticks or markdown formatting.
 `;
 
+  const messages = [{ role: 'user', content: prompt }];
+  
+  if (AI_PROVIDER === 'offline') {
+    return null;
+  }
+  
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
+    // One retry, with the validation errors sent back so the model can fix its own answer
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const responseText = await requestAIText(messages);
+      if (responseText === null) {
+        return null;
+      }
+      
+      const { expense: expenseData, errors } = validateExpenseData(parseJsonResponse(responseText));
+      if (errors.length > 0) {
+        console.error(`AI output failed validation (attempt ${attempt}):`, errors, responseText);
+        if (attempt === 2) {
+          return null;
+        }
+        messages.push(
+          { role: 'assistant', content: responseText },
+          { role: 'user', content: `That JSON has these problems:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the corrected JSON object.` }
+        );
+        continue;
+      }
+      
+      const { date, warnings } = resolveTransactionDate(expenseData.transactionDate, description);
+      expenseData.transactionDate = date;
+      expenseData.currency = expenseData.currency || detectCurrency(description) || 'USD';
+      expenseData.warnings = [...warnings, ...applyTaxYearRules(expenseData)];
+      
+      if (expenseData.confidence !== null && expenseData.confidence < AI_REVIEW_CONFIDENCE) {
+        expenseData.needsReview = true;
+        expenseData.reviewReason = `Low confidence (${Math.round(expenseData.confidence * 100)}%) - check the amount, vendor and category`;
+      } else if (attempt > 1) {
+        expenseData.needsReview = true;
+        expenseData.reviewReason = 'The first categorization was invalid and had to be corrected - double-check it';
+      }
+      
+      return expenseData;
+    }
+  } catch (error) {
+    console.error('Error processing with Claude:', error);
+  }
+  return null;
+}
+
+// Send a conversation to the configured AI provider and return the text of its reply, or null on any API problem
+async function requestAIText(messages) {
+  if (AI_PROVIDER === 'openai') {
+    const response = await fetch(`${AI_BASE_URL}/chat/completions`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'x-api-key': CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
+        'Authorization': `Bearer ${AI_API_KEY}`
       },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 1000,
-        messages: [{ role: 'user', content: prompt }]
-      })
+      body: JSON.stringify({ model: AI_MODEL, max_tokens: 1000, messages })
     });
-
+    
     if (!response.ok) {
-      console.error('Claude API error:', response.status, response.statusText);
+      console.error('OpenAI-compatible API error:', response.status, response.statusText);
       return null;
     }
-
-    const data = await response.json();
     
-    if (!data.content || !data.content[0] || !data.content[0].text) {
-      console.error('Unexpected Claude API response structure:', data);
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      console.error('Unexpected OpenAI-compatible API response structure:', data);
       return null;
     }
-    
-    let responseText = data.content[0].text;
-    responseText = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    
-    return JSON.parse(responseText);
-  } catch (error) {
-    console.error('Error processing with Claude:', error);
+    return text;
+  }
+  
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': AI_API_KEY,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: AI_MODEL,
+      max_tokens: 1000,
+      messages
+    })
+  });
+
+  if (!response.ok) {
+    console.error('Claude API error:', response.status, response.statusText);
+    return null;
+  }
+
+  const data = await response.json();
+  
+  if (!data.content || !data.content[0] || !data.content[0].text) {
+    console.error('Unexpected Claude API response structure:', data);
     return null;
   }
+  
+  return data.content[0].text;
 }
 
-// Save receipt to Firebase Storage
-async function saveReceiptToFirebase(imageBuffer, fileName) {
+// The model sometimes wraps its JSON in a code fence or a sentence - take the outermost object
+function parseJsonResponse(responseText) {
+  const text = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  
   try {
-    console.log('Uploading receipt to Firebase Storage:', fileName);
-    
-    // Initialize Firebase if not already done
-    initFirebase();
-    
-    const bucket = admin.storage().bucket();
-    const file = bucket.file(`receipts/${fileName}`);
-    
-    // Upload the image buffer
-    await file.save(imageBuffer, {
-      metadata: {
-        contentType: 'image/jpeg',
-        metadata: {
-          uploadedAt: new Date().toISOString(),
-          source: 'telegram-bot'
-        }
-      }
-    });
-    
-    // Make the file publicly accessible
-    await file.makePublic();
-    
-    // Get the public URL
-    const publicUrl = `https://storage.googleapis.com/${FIREBASE_STORAGE_BUCKET}/receipts/${fileName}`;
-    
-    console.log('✅ Receipt uploaded successfully to Firebase:', publicUrl);
-    return publicUrl;
-    
+    return JSON.parse(start >= 0 && end > start ? text.slice(start, end + 1) : text);
   } catch (error) {
-    console.error('❌ Error uploading to Firebase Storage:', error);
-    return null;
+    return undefined;
   }
 }
 
-// Process receipt with Google Vision OCR and save to Firebase
-async function processReceiptOCR(imageBuffer, fileName, largestPhoto) {
-  try {
-    // Use Google Vision API for OCR
-    const vision = require('@google-cloud/vision');
-    
-    // Create a client using the same credentials as Google Sheets
-    const client = new vision.ImageAnnotatorClient({
-      credentials: {
-        client_email: GOOGLE_CREDENTIALS.client_email,
-        private_key: GOOGLE_CREDENTIALS.private_key
-      }
-    });
-    
-    // Convert ArrayBuffer to Buffer
-    const buffer = Buffer.from(imageBuffer);
-    
-    // Perform text detection on the image
-    const [result] = await client.textDetection({
-      image: { content: buffer }
+const BUSINESS_TYPES = ['business', 'personal', 'family_llc'];
+const AI_REVIEW_CONFIDENCE = 0.6;
+
+// Check the model's JSON against what the ledger accepts. Harmless formatting ("$85.00", "50%",
+// "S-Corp", "true") is repaired; anything that would need a guess comes back as an error.
+function validateExpenseData(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { expense: null, errors: ['The response is not a single valid JSON object'] };
+  }
+  
+  const errors = [];
+  const expense = { ...raw };
+  const asNumber = (value) => (typeof value === 'number' ? value : typeof value === 'string' && /\d/.test(value) ? parseFloat(value.replace(/[$,%\s]/g, '')) : NaN);
+  const asBoolean = (value) => value === true || value === 'true';
+  const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+  
+  const amount = asNumber(raw.amount);
+  if (Number.isFinite(amount) && amount > 0) {
+    expense.amount = Math.round(amount * 100) / 100;
+  } else {
+    errors.push(`amount must be a positive number, got ${JSON.stringify(raw.amount)}`);
+  }
+  
+  expense.vendor = asText(raw.vendor);
+  if (!expense.vendor) {
+    errors.push('vendor must be a non-empty string');
+  }
+  
+  // A category that only one entity uses settles a missing or unknown entityType
+  const categoryName = asText(raw.category).toLowerCase();
+  const entitiesWithCategory = Object.keys(EXPENSE_CATEGORIES)
+    .filter(entity => EXPENSE_CATEGORIES[entity].some(category => category.toLowerCase() === categoryName));
+  expense.entityType = normalizeEntity(asText(raw.entityType)) ||
+    (entitiesWithCategory.length === 1 ? entitiesWithCategory[0] : null);
+  
+  if (!expense.entityType) {
+    errors.push(`entityType must be "scorp" or "family_llc", got ${JSON.stringify(raw.entityType)}`);
+  } else {
+    const allowed = EXPENSE_CATEGORIES[expense.entityType];
+    expense.category = allowed.find(category => category.toLowerCase() === categoryName);
+    if (!expense.category) {
+      errors.push(`category ${JSON.stringify(raw.category)} is not allowed for entityType "${expense.entityType}" - use one of: ${allowed.join(', ')}`);
+    }
+  }
+  
+  const businessType = asText(raw.businessType).toLowerCase();
+  if (BUSINESS_TYPES.includes(businessType)) {
+    expense.businessType = businessType;
+  } else if (!businessType && expense.category) {
+    expense.businessType = expense.category === 'Personal Expenses' ? 'personal' : expense.entityType === 'family_llc' ? 'family_llc' : 'business';
+  } else {
+    errors.push(`businessType must be one of ${BUSINESS_TYPES.join(', ')}, got ${JSON.stringify(raw.businessType)}`);
+  }
+  
+  const percentage = asNumber(raw.deductibilityPercentage);
+  if (Number.isFinite(percentage) && percentage >= 0 && percentage <= 100) {
+    expense.deductibilityPercentage = percentage;
+  } else {
+    errors.push(`deductibilityPercentage must be a number from 0 to 100, got ${JSON.stringify(raw.deductibilityPercentage)}`);
+  }
+  
+  // A missing currency is worked out from the text later; one that isn't a currency code is an error
+  expense.currency = raw.currency ? normalizeCurrency(raw.currency) : null;
+  if (raw.currency && !expense.currency) {
+    errors.push(`currency must be a 3-letter ISO code like USD or EUR, got ${JSON.stringify(raw.currency)}`);
+  }
+  
+  expense.taxDeductible = typeof raw.taxDeductible === 'boolean' ? raw.taxDeductible : expense.deductibilityPercentage > 0;
+  expense.intercompany = asBoolean(raw.intercompany);
+  expense.taxNotes = asText(raw.taxNotes);
+  expense.suggestedDescription = asText(raw.suggestedDescription) || expense.vendor;
+  expense.workDescription = asText(raw.workDescription);
+  expense.transactionDate = isValidISODate(raw.transactionDate) ? raw.transactionDate : null;
+  
+  // Accept 0-1 or a percentage; anything else is treated as "not given"
+  const confidence = asNumber(raw.confidence);
+  expense.confidence = Number.isFinite(confidence) && confidence >= 0 && confidence <= 100
+    ? (confidence > 1 ? confidence / 100 : confidence)
+    : null;
+  
+  expense.splits = null;
+  if (Array.isArray(raw.splits) && raw.splits.length > 1 && !expense.intercompany) {
+    const { splits, errors: splitErrors } = validateSplits(raw.splits, expense);
+    expense.splits = splits;
+    errors.push(...splitErrors);
+  }
+  
+  return { expense, errors };
+}
+
+// Split items are checked the same way as the expense itself, and must add up to its amount.
+// A cent or two of rounding is moved onto the last item rather than sent back.
+function validateSplits(rawSplits, expense) {
+  const errors = [];
+  const splits = rawSplits.map((raw, index) => {
+    const { expense: item, errors: itemErrors } = validateExpenseData({
+      ...raw,
+      vendor: expense.vendor,
+      deductibilityPercentage: 0,
+      splits: null
     });
-    
-    const detections = result.textAnnotations;
-    
-    if (!detections || detections.length === 0) {
-      console.log('No text detected in image');
-      return { text: null, imageUrl: null };
+    if (!item) {
+      errors.push(`splits[${index}] must be an object`);
+      return null;
     }
+    itemErrors.forEach(error => errors.push(`splits[${index}].${error}`));
     
-    // Save receipt to Firebase Storage
-    const imageUrl = await saveReceiptToFirebase(buffer, fileName);
-    
-    // Return the full text detected and image URL
-    const fullText = detections[0].description;
-    console.log('OCR detected text:', fullText);
-    
-    if (imageUrl) {
-      console.log('✅ Receipt available at:', imageUrl);
-    } else {
-      console.log('❌ Could not upload receipt to Firebase');
+    return {
+      amount: item.amount,
+      category: item.category,
+      entityType: item.entityType,
+      businessType: item.businessType,
+      deductibilityPercentage: item.businessType === 'personal' ? 0 : defaultDeductibility(item.category, expense.transactionDate),
+      description: typeof raw.description === 'string' ? raw.description.trim() : ''
+    };
+  });
+  
+  if (errors.length > 0 || !Number.isFinite(expense.amount)) {
+    return { splits: null, errors };
+  }
+  
+  const totalCents = Math.round(expense.amount * 100);
+  const sumCents = splits.reduce((total, item) => total + Math.round(item.amount * 100), 0);
+  const last = splits[splits.length - 1];
+  if (Math.abs(totalCents - sumCents) > splits.length || Math.round(last.amount * 100) + totalCents - sumCents <= 0) {
+    return { splits: null, errors: [`splits add up to ${(sumCents / 100).toFixed(2)} but amount is ${expense.amount.toFixed(2)} - they must match exactly`] };
+  }
+  
+  last.amount = (Math.round(last.amount * 100) + totalCents - sumCents) / 100;
+  return { splits, errors: [] };
+}
+
+// Keyword and vendor rules for when the AI can't be reached. Checked in order, so the
+// special cases from the prompt (son, management fee) come before the generic vendors.
+const OFFLINE_RULES = [
+  { pattern: /\b(?:venmo|zelle|paid|pay|payment)\b.*\bson\b|\bson\b.*\b(?:video|editing|maintenance|work|venmo)\b/, category: 'Contract Labor', entityType: 'family_llc', vendor: 'Son' },
+  { pattern: /\bmanagement fee\b|\d\s*management\b/, category: 'Professional Services', entityType: 'scorp', intercompany: true, vendor: 'Family LLC' },
+  { pattern: /\b(?:uber|lyft|taxi|cab|delta|united airlines|american airlines|southwest|jetblue|airbnb|marriott|hilton|hyatt|hotel|flight|airfare|hertz|avis|rental car)\b/, category: 'Travel Expenses' },
+  { pattern: /\b(?:staples|office depot|officemax|paper|toner|ink|postage|usps)\b/, category: 'Office Supplies' },
+  { pattern: /\b(?:adobe|microsoft|google workspace|dropbox|zoom|slack|github|notion|software|subscription|laptop|monitor|best buy)\b/, category: 'Equipment/Software' },
+  { pattern: /\b(?:shell|chevron|exxon|mobil|gas|fuel|parking|toll|car wash|oil change|tires?)\b/, category: 'Vehicle Expenses' },
+  { pattern: /\b(?:lunch|dinner|breakfast|coffee|starbucks|restaurant|cafe|chipotle|doordash|grubhub|meal)\b/, category: 'Business Meals' },
+  { pattern: /\b(?:ads|advertising|marketing|vistaprint|promo|sponsorship)\b/, category: 'Marketing/Advertising' },
+  { pattern: /\b(?:udemy|coursera|course|conference|seminar|training|workshop|books?)\b/, category: 'Training/Education' },
+  { pattern: /\b(?:cpa|attorney|lawyer|legal|accountant|accounting|bookkeep\w*|consultant)\b/, category: 'Professional Services' },
+  { pattern: /\b(?:grocer\w*|netflix|spotify|personal|gym)\b/, category: 'Personal Expenses' }
+];
+const OFFLINE_DEFAULT_CATEGORY = 'Office Supplies';
+
+// Amount from free text or OCR: a receipt TOTAL line first, then "$85", "85.00", "85 dollars", then a bare number
+function extractAmount(text) {
+  const patterns = [
+    /\b(?:grand\s+)?total\b[^\d\n]{0,15}(\d[\d,]*\.\d{2})/i,
+    /\$\s?(\d[\d,]*(?:\.\d{1,2})?)/,
+    /\b(\d+(?:\.\d{1,2})?)\s*(?:dollars|usd|bucks)\b/i,
+    /(?<![\d/.-])(\d[\d,]*\.\d{2})(?![\d/%])/,
+    /(?<![\d/.:-])(\d{1,5})(?![\d/.:%-]|\s*(?:mi\b|miles|am\b|pm\b|st\b|nd\b|rd\b|th\b))/i
+  ];
+  
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match && parseAmount(match[1]) > 0) {
+      return parseAmount(match[1]);
     }
-    
-    return { text: fullText, imageUrl };
-    
-  } catch (error) {
-    console.error('OCR Error:', error);
-    return { text: null, imageUrl: null };
   }
+  return null;
 }
 
-// Get recent entries for editing
-async function getRecentEntries(limit = 10) {
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// Vendor named in the text: the first line of a receipt, or "... at Chipotle"
+function extractNamedVendor(text) {
+  const receipt = text.match(/^Receipt text:\s*([^\n]+)/i);
+  if (receipt) {
+    return titleCase(receipt[1].replace(/[^a-z0-9&' ]/gi, ' ').trim().split(/\s+/).slice(0, 3).join(' '));
+  }
+  
+  const named = text.match(/\b(?:at|from)\s+([A-Za-z][\w&' ]{1,30}?)(?=\s+(?:for|on|yesterday|today|\$|\d)|[.,]|$)/i);
+  return named ? titleCase(named[1].trim()) : null;
+}
+
+// Last resort: the first words that aren't the amount
+function extractVendor(text) {
+  const words = text.replace(/\$?\d[\d,.]*/g, ' ').replace(/[^a-z&' ]/gi, ' ').trim().split(/\s+/).filter(Boolean);
+  return words.length > 0 ? titleCase(words.slice(0, 2).join(' ')) : 'Unknown';
+}
+
+// Categorize without the AI: vendor memory first, then the keyword rules. Always marked for review.
+function categorizeOffline(description, memory = []) {
+  const text = description.replace(/^Bank statement transaction on \S+:\s*/i, '');
+  const amount = extractAmount(text);
+  if (!amount) {
+    return null;
+  }
+  
+  const lower = text.toLowerCase();
+  const remembered = findVendorMemory(memory, text);
+  const rule = remembered ? null : OFFLINE_RULES.find(candidate => candidate.pattern.test(lower));
+  const category = remembered ? remembered.category : rule ? rule.category : OFFLINE_DEFAULT_CATEGORY;
+  const entityType = remembered ? remembered.entityType : rule && rule.entityType ? rule.entityType
+    : EXPENSE_CATEGORIES.scorp.includes(category) ? 'scorp' : 'family_llc';
+  const ruleMatch = rule && !rule.vendor ? lower.match(rule.pattern) : null;
+  const vendor = remembered ? remembered.vendor
+    : rule && rule.vendor ? rule.vendor
+    : extractNamedVendor(text) || (ruleMatch ? titleCase(ruleMatch[0]) : extractVendor(text));
+  
+  const { date, warnings } = resolveTransactionDate(null, description);
+  const expenseData = {
+    amount,
+    currency: detectCurrency(text) || 'USD',
+    vendor,
+    category,
+    entityType,
+    businessType: category === 'Personal Expenses' ? 'personal' : entityType === 'family_llc' ? 'family_llc' : 'business',
+    deductibilityPercentage: defaultDeductibility(category, date),
+    taxNotes: remembered ? `Category remembered from an earlier correction for ${remembered.vendor}` : 'Categorized offline by keyword rules',
+    suggestedDescription: text.replace(/^Receipt text:\s*/i, '').split('\n')[0].slice(0, 100),
+    workDescription: '',
+    transactionDate: date,
+    intercompany: !!(rule && rule.intercompany),
+    confidence: null,
+    needsReview: true,
+    reviewReason: 'The AI was unavailable - categorized offline by keyword rules, please check it'
+  };
+  expenseData.taxDeductible = expenseData.deductibilityPercentage > 0;
+  expenseData.warnings = [...warnings, ...applyTaxYearRules(expenseData)];
+  
+  return expenseData;
+}
+
+const VENDOR_MEMORY_TITLE = 'Vendor Memory';
+const VENDOR_MEMORY_HEADERS = ['Vendor Key', 'Vendor', 'Category', 'Entity', 'Business Type', 'Learned At', 'Chat ID'];
+
+async function loadVendorMemory() {
   try {
-    const doc = await initGoogleSheet();
-    let sheet = doc.sheetsByTitle['Sheet1'] || doc.sheetsByTitle['Master Sheet'];
-    
+    const doc = await initStorage();
+    const sheet = doc.sheetsByTitle[VENDOR_MEMORY_TITLE];
     if (!sheet) {
       return [];
     }
-    
     const rows = await sheet.getRows();
-    const recentRows = rows.slice(-limit).reverse();
-    
-    return recentRows.map((row, index) => ({
-      date: row.get('Date'),
+    return rows.map(row => ({
+      key: row.get('Vendor Key'),
       vendor: row.get('Vendor'),
       category: row.get('Category'),
-      amount: row.get('Amount'),
-      deductibilityPercentage: row.get('Deductible %'),
-      description: row.get('Description')
-    }));
+      entityType: row.get('Entity'),
+      businessType: row.get('Business Type')
+    })).filter(entry => entry.key && entry.category);
   } catch (error) {
-    console.error('Error getting recent entries:', error);
+    console.error('Error loading vendor memory:', error);
     return [];
   }
 }
 
-// Edit an entry
-async function editEntry(entryNumber, field, newValue) {
-  try {
-    const doc = await initGoogleSheet();
-    let sheet = doc.sheetsByTitle['Sheet1'] || doc.sheetsByTitle['Master Sheet'];
-    
-    if (!sheet) {
-      return { success: false, error: 'Sheet not found' };
-    }
-    
-    const rows = await sheet.getRows();
-    
-    if (entryNumber < 1 || entryNumber > rows.length) {
-      return { success: false, error: `Entry #${entryNumber} not found. Use /recent to see available entries.` };
-    }
-    
-    const row = rows[entryNumber - 1];
-    
-    if (field === 'description') {
-      row.set('Description', newValue);
-    } else if (field === 'notes') {
-      const existingNotes = row.get('Work Description') || '';
-      const updatedNotes = existingNotes ? `${existingNotes} | ${newValue}` : newValue;
-      row.set('Work Description', updatedNotes);
-    }
-    
-    await row.save();
-    return { success: true };
-  } catch (error) {
-    console.error('Error editing entry:', error);
-    return { success: false, error: error.message };
+// A remembered vendor whose name appears in the text (or vendor) - longest name wins
+function findVendorMemory(memory, text) {
+  const key = normalizeVendor(text);
+  return memory
+    .filter(entry => entry.key.length >= 3 && key.includes(entry.key))
+    .sort((a, b) => b.key.length - a.key.length)[0] || null;
+}
+
+// Remember the category a person chose for a vendor, replacing anything learned before
+async function learnVendorCategory(doc, values, actor = {}) {
+  const key = normalizeVendor(values.vendor);
+  if (key.length < 3 || !values.category) {
+    return;
+  }
+  
+  const sheet = await getSheetWithHeaders(doc, VENDOR_MEMORY_TITLE, VENDOR_MEMORY_HEADERS);
+  const rows = await sheet.getRows();
+  const memoryValues = {
+    'Vendor Key': key,
+    'Vendor': values.vendor,
+    'Category': values.category,
+    'Entity': values.entityType,
+    'Business Type': values.businessType,
+    'Learned At': new Date().toISOString(),
+    'Chat ID': actor.chatId || ''
+  };
+  const existing = rows.find(row => row.get('Vendor Key') === key);
+  
+  if (existing) {
+    existing.assign(memoryValues);
+    await existing.save();
+  } else {
+    await sheet.addRow(memoryValues);
   }
 }
 
-// Add expense to Google Sheet
-async function addExpenseToSheet(expenseData, sheetName = 'Sheet1') {
-  try {
-    const doc = await initGoogleSheet();
-    
-    let sheet = doc.sheetsByTitle[sheetName];
-    
-    if (!sheet) {
-      sheet = doc.sheetsByTitle['Master Sheet'];
-      if (!sheet) {
-        return { success: false, error: `Sheet "${sheetName}" not found` };
-      }
-    }
-
-    const today = new Date().toISOString().split('T')[0];
-    
-    const rowData = {
-      'Date': today,
-      'Vendor': expenseData.vendor,
-      'Category': expenseData.category,
-      'Amount': expenseData.amount,
-      'Business Type': expenseData.businessType,
-      'Entity': expenseData.entityType,
-      'Deductible %': expenseData.deductibilityPercentage,
-      'Tax Notes': expenseData.taxNotes,
-      'Description': expenseData.suggestedDescription,
-      'Work Description': expenseData.workDescription || '',
-      'Receipt URL': expenseData.receiptUrl || ''
-    };
-    
-    console.log('Row data being added to sheet:', rowData);
-    
-    await sheet.addRow(rowData);
-    return { success: true };
-  } catch (error) {
-    console.error('Error adding to sheet:', error);
-    return { success: false, error: error.message };
+// A correction the user made for this vendor before beats the AI's guess
+function applyVendorMemory(expenseData, memory) {
+  const remembered = findVendorMemory(memory, expenseData.vendor);
+  if (!remembered || (remembered.category === expenseData.category && remembered.entityType === expenseData.entityType)) {
+    return expenseData;
+  }
+  
+  expenseData.category = remembered.category;
+  expenseData.entityType = remembered.entityType;
+  expenseData.businessType = remembered.businessType || (remembered.entityType === 'family_llc' ? 'family_llc' : 'business');
+  expenseData.deductibilityPercentage = defaultDeductibility(remembered.category, expenseData.transactionDate);
+  expenseData.taxDeductible = expenseData.deductibilityPercentage > 0;
+  expenseData.warnings = [...(expenseData.warnings || []), `Category set to ${remembered.category} from your earlier correction for ${remembered.vendor}`];
+  return expenseData;
+}
+
+// Categorize an expense: the AI first (with vendor memory applied on top), the offline rules if that fails
+async function categorizeExpense(description, memory = null) {
+  const vendorMemory = memory || await loadVendorMemory();
+  let expenseData = await processExpenseWithAI(description);
+  
+  if (expenseData) {
+    expenseData = applyVendorMemory(expenseData, vendorMemory);
+  } else {
+    console.log('AI categorization unavailable - falling back to offline rules');
+    expenseData = categorizeOffline(description, vendorMemory);
+  }
+  
+  return expenseData && convertToUSD(expenseData);
+}
+
+const EXCHANGE_RATES_TITLE = 'Exchange Rates';
+const EXCHANGE_RATE_HEADERS = ['Currency', 'Date', 'USD Rate', 'Updated At', 'Chat ID'];
+// USD value of one unit of each currency, as rounded yearly averages - the fallback when the
+// Exchange Rates tab (kept up with /rate) has nothing on or before the transaction date.
+// For a year not listed here the closest earlier year stands in, and the expense is flagged for review.
+const DEFAULT_EXCHANGE_RATES = {
+  2024: { EUR: 1.08, GBP: 1.28, CAD: 0.73 },
+  2025: { EUR: 1.13, GBP: 1.32, CAD: 0.72 }
+};
+// Checked in order, so "C$" and "US$" win over a bare "$"
+const CURRENCY_SYMBOLS = [['US$', 'USD'], ['C$', 'CAD'], ['CA$', 'CAD'], ['€', 'EUR'], ['£', 'GBP'], ['$', 'USD']];
+const RATE_USAGE = 'Usage:\n' +
+  '/rate - Rates on file\n' +
+  '/rate EUR 1.08 - USD value of one EUR from today\n' +
+  '/rate GBP 1.27 2025-06-01 - ...from a given date';
+
+// "€", "eur", "C$" -> ISO code. Returns null for anything that isn't a currency.
+function normalizeCurrency(value) {
+  const text = String(value || '').trim();
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => candidate === text.toUpperCase());
+  if (symbol) {
+    return symbol[1];
+  }
+  return /^[a-z]{3}$/i.test(text) ? text.toUpperCase() : null;
+}
+
+// Currency a receipt or message is written in, from an ISO code or symbol next to a number
+function detectCurrency(text) {
+  const code = text.match(/\b(USD|EUR|GBP|CAD)\b/i) || text.match(/\d\s*(euros?|pounds?)\b/i);
+  if (code) {
+    return { euro: 'EUR', euros: 'EUR', pound: 'GBP', pounds: 'GBP' }[code[1].toLowerCase()] || code[1].toUpperCase();
+  }
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => text.includes(candidate));
+  return symbol ? symbol[1] : null;
+}
+
+// The rate for a currency on a date: the latest /rate entry on or before it, else that year's
+// default (or the closest earlier year's, marked stale), else the earliest /rate entry after it
+async function getExchangeRate(currency, date) {
+  const doc = await initStorage();
+  const sheet = doc.sheetsByTitle[EXCHANGE_RATES_TITLE];
+  const rows = (sheet ? await sheet.getRows() : [])
+    .filter(row => row.get('Currency') === currency)
+    .sort((a, b) => a.get('Date').localeCompare(b.get('Date')));
+  const fromRow = row => ({ rate: parseFloat(row.get('USD Rate')), source: `rate from ${row.get('Date')}` });
+  
+  const onFile = rows.filter(row => row.get('Date') <= date).pop();
+  if (onFile) {
+    return fromRow(onFile);
+  }
+  
+  const year = parseInt(date.slice(0, 4));
+  const fallbackYear = Object.keys(DEFAULT_EXCHANGE_RATES).map(Number).sort((a, b) => a - b)
+    .filter(known => known <= year && DEFAULT_EXCHANGE_RATES[known][currency]).pop();
+  if (fallbackYear) {
+    return { rate: DEFAULT_EXCHANGE_RATES[fallbackYear][currency], source: `${fallbackYear} average`, stale: fallbackYear < year };
+  }
+  return rows.length > 0 ? fromRow(rows[0]) : null;
+}
+
+function toUSD(amount, rate) {
+  return Math.round(amount * rate * 100) / 100;
+}
+
+// Set the USD amount from the original amount and a rate. Split parts are converted too, with the
+// rounding on the last part so they still add up to the converted total.
+function applyExchangeRate(expenseData, rate) {
+  expenseData.exchangeRate = rate;
+  expenseData.amount = toUSD(expenseData.originalAmount, rate);
+  
+  if (expenseData.splits) {
+    let remainingCents = Math.round(expenseData.amount * 100);
+    expenseData.splits.forEach((part, index) => {
+      part.originalAmount = part.originalAmount ?? part.amount;
+      const cents = index === expenseData.splits.length - 1 ? remainingCents : Math.round(part.originalAmount * rate * 100);
+      remainingCents -= cents;
+      part.amount = cents / 100;
+    });
+  }
+}
+
+// Keep the amount as written and convert it to USD - every total in the ledger is in dollars
+async function convertToUSD(expenseData) {
+  expenseData.currency = expenseData.currency || 'USD';
+  expenseData.originalAmount = expenseData.originalAmount ?? expenseData.amount;
+  
+  if (expenseData.currency === 'USD') {
+    expenseData.exchangeRate = 1;
+    return expenseData;
+  }
+  
+  const found = await getExchangeRate(expenseData.currency, expenseData.transactionDate || formatDate(new Date()));
+  if (!found) {
+    expenseData.exchangeRate = null;
+    expenseData.needsReview = true;
+    expenseData.reviewReason = `No ${expenseData.currency} rate on file - add one with /rate ${expenseData.currency} [USD value] before saving`;
+    return expenseData;
   }
+  
+  applyExchangeRate(expenseData, found.rate);
+  expenseData.rateSource = found.source;
+  if (found.stale) {
+    expenseData.needsReview = true;
+    expenseData.reviewReason = `Converted at the ${found.source} - no ${expenseData.currency} rate for this year on file yet, add one with /rate ${expenseData.currency} [USD value]`;
+  }
+  return expenseData;
+}
+
+// "/rate EUR 1.08 [YYYY-MM-DD]" - replaces the rate for that currency and date if there is one
+async function setExchangeRate(currency, rate, date, actor = {}) {
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, EXCHANGE_RATES_TITLE, EXCHANGE_RATE_HEADERS);
+  const rows = await sheet.getRows();
+  const values = {
+    'Currency': currency,
+    'Date': date,
+    'USD Rate': rate,
+    'Updated At': new Date().toISOString(),
+    'Chat ID': actor.chatId || ''
+  };
+  
+  const existing = rows.find(row => row.get('Currency') === currency && row.get('Date') === date);
+  if (existing) {
+    existing.assign(values);
+    await existing.save();
+  } else {
+    await sheet.addRow(values);
+  }
+}
+
+// Latest rate per currency: what /rate has on file, then defaults for anything without one
+async function getExchangeRateList(today = formatDate(new Date())) {
+  const currencies = new Set(Object.values(DEFAULT_EXCHANGE_RATES).flatMap(rates => Object.keys(rates)));
+  const doc = await initStorage();
+  const sheet = doc.sheetsByTitle[EXCHANGE_RATES_TITLE];
+  (sheet ? await sheet.getRows() : []).forEach(row => currencies.add(row.get('Currency')));
+  
+  const list = [];
+  for (const currency of [...currencies].sort()) {
+    const found = await getExchangeRate(currency, today);
+    if (found) {
+      list.push({ currency, ...found });
+    }
+  }
+  return list;
+}
+
+function formatMoney(amount, currency = 'USD') {
+  return currency === 'USD' ? `$${parseAmount(amount).toFixed(2)}` : `${parseAmount(amount).toFixed(2)} ${currency}`;
+}
+
+const RECEIPT_PREFIX = 'receipts/';
+const RECEIPT_LINK_MINUTES = 15;
+// Sniffed from the first bytes - Telegram photos are JPEG, but documents can be anything
+const RECEIPT_CONTENT_TYPES = [
+  { type: 'image/jpeg', extension: 'jpg', test: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { type: 'image/png', extension: 'png', test: bytes => bytes.slice(0, 4).toString('hex') === '89504e47' },
+  { type: 'image/gif', extension: 'gif', test: bytes => bytes.slice(0, 3).toString() === 'GIF' },
+  { type: 'image/webp', extension: 'webp', test: bytes => bytes.slice(0, 4).toString() === 'RIFF' && bytes.slice(8, 12).toString() === 'WEBP' },
+  { type: 'image/heic', extension: 'heic', test: bytes => bytes.slice(4, 8).toString() === 'ftyp' && /^(heic|heix|mif1)/.test(bytes.slice(8, 12).toString()) },
+  { type: 'application/pdf', extension: 'pdf', test: bytes => bytes.slice(0, 4).toString() === '%PDF' }
+];
+
+function detectContentType(buffer) {
+  const bytes = Buffer.from(buffer);
+  return RECEIPT_CONTENT_TYPES.find(candidate => candidate.test(bytes)) || { type: 'application/octet-stream', extension: 'bin' };
 }
 
-// Calculate YTD payments to son
-async function calculateYTDPayments() {
+// Save a receipt to Firebase Storage. The file stays private - the ledger keeps its object path
+// ("receipts/...") and /receipt sends it back or hands out a short-lived signed link.
+async function saveReceiptToFirebase(imageBuffer, fileName) {
   try {
-    const doc = await initGoogleSheet();
-    const sheet = doc.sheetsByTitle['Family LLC'];
+    console.log('Uploading receipt to Firebase Storage:', fileName);
     
-    if (!sheet) {
-      return 0;
+    // Initialize Firebase if not already done
+    initFirebase();
+    
+    const { type, extension } = detectContentType(imageBuffer);
+    const objectPath = `${RECEIPT_PREFIX}${fileName.replace(/\.[a-z0-9]+$/i, '')}.${extension}`;
+    const file = admin.storage().bucket().file(objectPath);
+    
+    await file.save(imageBuffer, {
+      metadata: {
+        contentType: type,
+        metadata: {
+          uploadedAt: new Date().toISOString(),
+          source: 'telegram-bot'
+        }
+      }
+    });
+    
+    console.log('✅ Receipt uploaded privately to Firebase:', objectPath);
+    return objectPath;
+    
+  } catch (error) {
+    console.error('❌ Error uploading to Firebase Storage:', error);
+    return null;
+  }
+}
+
+// An album's entry keeps the hash of every page, separated like its receipt paths
+function receiptHashes(value) {
+  return String(value || '').split('|').map(part => part.trim()).filter(Boolean);
+}
+
+// Object paths from a Receipt URL cell. Merged receipts are joined with " | ", and rows from before
+// receipts went private hold a public storage.googleapis.com link to the same object.
+function receiptPaths(value) {
+  return String(value || '')
+    .split('|')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^https:\/\/(?:storage\.googleapis\.com|firebasestorage\.googleapis\.com\/v0\/b)\/[^/]+\/(?:o\/)?(.+?)(?:\?.*)?$/);
+      return match ? decodeURIComponent(match[1]) : part;
+    });
+}
+
+async function downloadReceipt(objectPath) {
+  initFirebase();
+  const file = admin.storage().bucket().file(objectPath);
+  const [[content], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+  return { content, contentType: metadata.contentType || detectContentType(content).type };
+}
+
+async function getReceiptLink(objectPath) {
+  initFirebase();
+  const [url] = await admin.storage().bucket().file(objectPath).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + RECEIPT_LINK_MINUTES * 60 * 1000
+  });
+  return url;
+}
+
+// Send an entry's receipts to the chat - as files, or as signed links when asked (or if sending fails)
+async function sendEntryReceipts(chatId, entryId, asLink = false) {
+  const doc = await initStorage();
+  const entries = await getLedgerEntries(doc);
+  const entry = findEntryById(entries, entryId);
+  
+  if (!entry) {
+    return { success: false, error: `Entry ${normalizeEntryId(entryId)} not found. Use /recent to see entry IDs.` };
+  }
+  
+  const paths = receiptPaths(entry.row.get('Receipt URL'));
+  if (paths.length === 0) {
+    return { success: false, error: `Entry ${entry.row.get('Entry ID')} has no receipt attached` };
+  }
+  
+  const caption = `🧾 ${entry.row.get('Entry ID')} · ${escapeHtml(entry.row.get('Vendor'))} $${entry.row.get('Amount')} · ${entry.row.get('Date')}`;
+  let failed = 0;
+  for (const objectPath of paths) {
+    if (!asLink) {
+      try {
+        const { content, contentType } = await downloadReceipt(objectPath);
+        if (await sendTelegramDocument(chatId, path.basename(objectPath), content, caption, contentType)) {
+          continue;
+        }
+      } catch (error) {
+        console.error('Error downloading receipt, sending a link instead:', error);
+      }
+    }
+    try {
+      const url = await getReceiptLink(objectPath);
+      if (!(await sendTelegramMessage(chatId, `${caption}\n🔗 <a href="${url}">Open receipt</a> (link expires in ${RECEIPT_LINK_MINUTES} minutes)`))) {
+        failed++;
+      }
+    } catch (error) {
+      console.error('Error signing receipt link:', error);
+      failed++;
+    }
+  }
+  
+  if (failed > 0) {
+    return { success: false, error: `Couldn't send ${failed} of ${paths.length} receipt file(s) for entry ${entry.row.get('Entry ID')} - please try again later` };
+  }
+  return { success: true, count: paths.length };
+}
+
+// One-time migration: make every stored receipt private and swap public links in the ledger for object paths
+async function makeReceiptsPrivate({ dryRun = false } = {}) {
+  initFirebase();
+  const [files] = await admin.storage().bucket().getFiles({ prefix: RECEIPT_PREFIX });
+  let filesUpdated = 0;
+  
+  for (const file of files) {
+    if (!dryRun) {
+      await file.makePrivate();
+    }
+    filesUpdated++;
+  }
+  
+  // A dry run only reads, so it mustn't migrate the ledger either
+  const doc = await initStorage();
+  const entries = dryRun ? await getLedgerEntries(doc) : await prepareLedgerForWrite(doc);
+  let rowsUpdated = 0;
+  
+  for (const entry of entries) {
+    for (const row of entry.rows) {
+      const value = row.get('Receipt URL') || '';
+      if (!/https?:\/\//.test(value)) {
+        continue;
+      }
+      if (!dryRun) {
+        row.set('Receipt URL', receiptPaths(value).join(' | '));
+        await row.save();
+      }
+      rowsUpdated++;
+    }
+  }
+  
+  return { filesUpdated, rowsUpdated };
+}
+
+const RECEIPT_PDF_OCR_PAGES = 5;
+// Shortest embedded text worth trusting over OCR - a scanned PDF often carries a stray word or two
+const PDF_TEXT_MIN_LENGTH = 20;
+
+function getVisionClient() {
+  const vision = require('@google-cloud/vision');
+  
+  // Create a client using the same credentials as Google Sheets
+  return new vision.ImageAnnotatorClient({
+    credentials: {
+      client_email: GOOGLE_CREDENTIALS.client_email,
+      private_key: GOOGLE_CREDENTIALS.private_key
+    }
+  });
+}
+
+// Unescape a PDF literal string - "(Total \(USD\)\t\044)"
+function decodePdfString(literal) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '', f: '' };
+  return literal.replace(/\\([0-7]{1,3}|[\s\S])/g, (match, code) => {
+    if (/^[0-7]/.test(code)) {
+      return String.fromCharCode(parseInt(code, 8));
+    }
+    return code in escapes ? escapes[code] : code === '\n' ? '' : code;
+  });
+}
+
+// Pull the text layer out of a PDF invoice without OCR. Handles the plain and Flate-compressed
+// content streams most invoicing tools write; returns null for scans or fonts we can't map.
+function extractPdfText(buffer) {
+  const raw = Buffer.from(buffer).toString('latin1');
+  const lines = [];
+  
+  for (const [, data] of raw.matchAll(/stream\r?\n([\s\S]*?)endstream/g)) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(data, 'latin1')).toString('latin1');
+    } catch (error) {
+      content = data;
     }
     
-    const rows = await sheet.getRows();
-    const currentYear = new Date().getFullYear();
-    let ytdTotal = 0;
+    for (const [, block] of content.matchAll(/\bBT\b([\s\S]*?)\bET\b/g)) {
+      let line = '';
+      // Strings are shown with Tj/TJ; a positioning operator starts a new line
+      for (const [token] of block.matchAll(/\((?:\\[\s\S]|[^\\)])*\)|\bT[dD*m]\b|'/g)) {
+        if (token.startsWith('(')) {
+          line += decodePdfString(token.slice(1, -1));
+        } else {
+          if (line.trim()) lines.push(line.trim());
+          line = '';
+        }
+      }
+      if (line.trim()) lines.push(line.trim());
+    }
+  }
+  
+  const text = lines.join('\n');
+  // Fonts with custom encodings come out as gibberish - let OCR read those instead
+  const readable = (text.match(/[a-z0-9\s$.,:;#@%&()\/'-]/gi) || []).length;
+  return text.length >= PDF_TEXT_MIN_LENGTH && readable / text.length > 0.9 ? text : null;
+}
+
+async function ocrImage(buffer) {
+  const [result] = await getVisionClient().textDetection({
+    image: { content: buffer }
+  });
+  
+  const detections = result.textAnnotations;
+  return detections && detections.length > 0 ? detections[0].description : null;
+}
+
+// Vision reads up to five pages of a PDF inline - plenty for a receipt or invoice
+async function ocrPdf(buffer) {
+  const [result] = await getVisionClient().batchAnnotateFiles({
+    requests: [{
+      inputConfig: { content: buffer, mimeType: 'application/pdf' },
+      features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+      pages: Array.from({ length: RECEIPT_PDF_OCR_PAGES }, (_, i) => i + 1)
+    }]
+  });
+  
+  const pages = result.responses?.[0]?.responses || [];
+  const text = pages.map(page => page.fullTextAnnotation?.text || '').filter(Boolean).join('\n');
+  return text || null;
+}
+
+// Read a receipt (photo, image file or PDF) and save it to Firebase
+async function processReceiptOCR(fileBuffer, fileName) {
+  try {
+    const buffer = Buffer.from(fileBuffer);
+    const { type } = detectContentType(buffer);
     
-    rows.forEach(row => {
-      const rowYear = new Date(row.get('Date')).getFullYear();
-      if (rowYear === currentYear && row.get('Category') === 'Contract Labor') {
-        ytdTotal += parseFloat(row.get('Amount')) || 0;
+    let fullText;
+    if (type === 'application/pdf') {
+      fullText = extractPdfText(buffer);
+      console.log(fullText ? 'Using embedded PDF text' : 'No usable text layer - running OCR on the PDF');
+      fullText = fullText || await ocrPdf(buffer);
+    } else {
+      fullText = await ocrImage(buffer);
+    }
+    
+    if (!fullText) {
+      console.log('No text detected in receipt');
+      return { text: null, receiptPath: null };
+    }
+    
+    // Save receipt to Firebase Storage
+    const receiptPath = await saveReceiptToFirebase(buffer, fileName);
+    console.log('OCR detected text:', fullText);
+    
+    if (receiptPath) {
+      console.log('✅ Receipt stored at:', receiptPath);
+    } else {
+      console.log('❌ Could not upload receipt to Firebase');
+    }
+    
+    return { text: fullText, receiptPath };
+    
+  } catch (error) {
+    console.error('OCR Error:', error);
+    return { text: null, receiptPath: null };
+  }
+}
+
+// Columns every ledger row is written with. "Receipt URL" holds the receipt's private storage
+// path(s), not a link - /receipt fetches it. "Parent Entry" is set on the parts of a split entry.
+// "Amount" is always USD; "Original Amount" and "Currency" are what the receipt said.
+// "Submitted By" is the Telegram user who added the row.
+// Categories the bot accepts, per entity (mirrors the categorization prompt)
+const EXPENSE_CATEGORIES = {
+  scorp: [
+    'Business Meals', 'Office Supplies', 'Professional Services', 'Travel Expenses',
+    'Equipment/Software', 'Marketing/Advertising', 'Training/Education', 'Vehicle Expenses',
+    'Personal Expenses'
+  ],
+  family_llc: ['Contract Labor', 'Management Services', 'Equipment/Supplies', 'Professional Services']
+};
+
+// Deductible % a category normally carries, used when the category is changed by hand
+function defaultDeductibility(category, transactionDate) {
+  if (category === 'Business Meals') {
+    return getTaxYearRules((transactionDate || '').slice(0, 4)).businessMealPercentage;
+  }
+  if (category === 'Personal Expenses') {
+    return 0;
+  }
+  return 100;
+}
+
+// Fields /edit understands, with the aliases people actually type
+const EDITABLE_FIELDS = {
+  amount: { column: 'Amount', aliases: ['amount', 'amt', 'total'] },
+  vendor: { column: 'Vendor', aliases: ['vendor', 'merchant', 'payee'] },
+  category: { column: 'Category', aliases: ['category', 'cat'] },
+  entity: { column: 'Entity', aliases: ['entity'] },
+  deductible: { column: 'Deductible %', aliases: ['deductible %', 'deductible%', 'deductible', 'deductibility', 'deduct'] },
+  date: { column: 'Date', aliases: ['date'] },
+  businessType: { column: 'Business Type', aliases: ['business type', 'businesstype', 'business_type', 'type'] },
+  description: { column: 'Description', aliases: ['description', 'desc'] },
+  notes: { column: 'Work Description', aliases: ['notes', 'note'] },
+  rate: { column: 'Exchange Rate', aliases: ['rate', 'exchange rate', 'fx rate', 'fx'] },
+  currency: { column: 'Currency', aliases: ['currency'] },
+  originalAmount: { column: 'Original Amount', aliases: ['original amount', 'original'] }
+};
+
+// Fields that change the USD amount of a foreign-currency entry
+const CURRENCY_FIELDS = ['amount', 'rate', 'currency', 'originalAmount'];
+
+// Split "/edit" arguments into a known field and its value; anything else edits the description
+function parseEditArguments(args) {
+  const lower = args.toLowerCase();
+  let best = null;
+
+  Object.entries(EDITABLE_FIELDS).forEach(([field, config]) => {
+    config.aliases.forEach(alias => {
+      if ((lower === alias || lower.startsWith(`${alias} `)) && (!best || alias.length > best.alias.length)) {
+        best = { field, alias };
       }
     });
+  });
+
+  if (!best) {
+    return { field: 'description', value: args.trim() };
+  }
+  return { field: best.field, value: args.slice(best.alias.length).trim() };
+}
+
+function normalizeEntity(value) {
+  const lower = value.toLowerCase().replace(/[\s-]+/g, '_');
+  if (['scorp', 's_corp', 'corp'].includes(lower)) {
+    return 'scorp';
+  }
+  if (['family_llc', 'llc', 'familyllc', 'family'].includes(lower)) {
+    return 'family_llc';
+  }
+  return null;
+}
+
+// Check and normalize a new value for a ledger field before it is saved
+function validateFieldValue(field, value, row) {
+  if (!value) {
+    return { valid: false, error: `Please provide a new ${field}` };
+  }
+
+  switch (field) {
+    case 'amount': {
+      const amount = parseFloat(value.replace(/[$,\s]/g, ''));
+      if (!isFinite(amount) || amount <= 0) {
+        return { valid: false, error: `"${value}" is not a valid amount` };
+      }
+      return { valid: true, value: Math.round(amount * 100) / 100 };
+    }
+    case 'vendor':
+      if (value.length > 100) {
+        return { valid: false, error: 'Vendor name is too long (100 characters max)' };
+      }
+      return { valid: true, value };
+    case 'category': {
+      const entity = normalizeEntity(row.get('Entity') || '') || 'scorp';
+      const category = EXPENSE_CATEGORIES[entity].find(name => name.toLowerCase() === value.toLowerCase());
+      if (!category) {
+        return { valid: false, error: `"${value}" is not a ${entity.toUpperCase()} category. Choose one of: ${EXPENSE_CATEGORIES[entity].join(', ')}` };
+      }
+      return { valid: true, value: category };
+    }
+    case 'entity': {
+      const entity = normalizeEntity(value);
+      if (!entity) {
+        return { valid: false, error: `"${value}" is not an entity. Use scorp or family_llc` };
+      }
+      const warnings = [];
+      if (!EXPENSE_CATEGORIES[entity].includes(row.get('Category'))) {
+        warnings.push(`Category "${row.get('Category')}" is not a ${entity.toUpperCase()} category - update it with /edit ${row.get('Entry ID')} category`);
+      }
+      return { valid: true, value: entity, warnings };
+    }
+    case 'originalAmount':
+      return validateFieldValue('amount', value, row);
+    case 'rate': {
+      const rate = parseFloat(value);
+      if (!isFinite(rate) || rate <= 0) {
+        return { valid: false, error: `"${value}" is not a valid rate - give the USD value of one unit, e.g. 1.08` };
+      }
+      return { valid: true, value: rate };
+    }
+    case 'currency': {
+      const currency = normalizeCurrency(value);
+      if (!currency) {
+        return { valid: false, error: `"${value}" is not a currency. Use a code like EUR, GBP or CAD` };
+      }
+      return { valid: true, value: currency };
+    }
+    case 'deductible': {
+      const percentage = parseFloat(value.replace(/[%\s]/g, ''));
+      if (!isFinite(percentage) || percentage < 0 || percentage > 100) {
+        return { valid: false, error: 'Deductible % must be a number from 0 to 100' };
+      }
+      return { valid: true, value: percentage };
+    }
+    case 'date': {
+      const check = checkTransactionDate(parseTransactionDate(value) || value);
+      if (!check.valid) {
+        return { valid: false, error: check.error };
+      }
+      return { valid: true, value: check.date, warnings: check.warnings };
+    }
+    case 'businessType': {
+      const businessType = value.toLowerCase().replace(/[\s-]+/g, '_');
+      if (!['business', 'personal', 'family_llc'].includes(businessType)) {
+        return { valid: false, error: 'Business type must be business, personal or family_llc' };
+      }
+      return { valid: true, value: businessType };
+    }
+    case 'notes': {
+      const existingNotes = row.get('Work Description') || '';
+      return { valid: true, value: existingNotes ? `${existingNotes} | ${value}` : value };
+    }
+    default:
+      return { valid: true, value };
+  }
+}
+
+// Get recent entries for editing
+async function getRecentEntries(limit = 10) {
+  try {
+    const doc = await initStorage();
+    const entries = await getLedgerEntries(doc);
+    const recentEntries = entries.filter(entry => !isVoided(entry.row)).slice(-limit).reverse();
     
-    return ytdTotal;
+    return recentEntries.map(({ row, tab }) => ({
+      // Rows from before entry IDs existed get one the next time anything is saved
+      entryId: row.get('Entry ID') || '(no ID yet)',
+      ledger: tab,
+      date: row.get('Date'),
+      vendor: row.get('Vendor'),
+      category: row.get('Category'),
+      amount: row.get('Amount'),
+      deductibilityPercentage: row.get('Deductible %'),
+      description: row.get('Description'),
+      needsReview: row.get('Status') === NEEDS_REVIEW_STATUS,
+      pendingApproval: isPendingApproval(row),
+      split: isSplit(row),
+      parentEntryId: row.get('Parent Entry') || null
+    }));
+  } catch (error) {
+    console.error('Error getting recent entries:', error);
+    return [];
+  }
+}
+
+const SEARCH_USAGE = 'Usage: /search [words] [filters]\n' +
+  'Filters: vendor:, category:, entity:(scorp|llc|personal), from:/to: (date, 2025-03 or 2025), ' +
+  'min:/max: (amount), has:receipt, no:receipt - quote values with spaces, e.g. vendor:"home depot"\n' +
+  'Examples:\n' +
+  '/search delta from:2025-03 to:2025-03\n' +
+  '/search category:meals min:100 no:receipt\n' +
+  '/search vendor:"home depot" entity:llc';
+const SEARCH_PAGE_SIZE = 8;
+const SEARCHES_TITLE = 'Searches';
+const SEARCH_HEADERS = ['Search ID', 'Chat ID', 'Query', 'Created At'];
+
+// A from:/to: value - a date, a month (2025-03) or a year - as the first or last day it covers
+function parseSearchDate(value, end) {
+  const lastDay = (year, month) => formatDate(new Date(Date.UTC(year, month, 0)));
+  let match;
+  if ((match = value.match(/^(\d{4})-(\d{1,2})$/)) && +match[2] >= 1 && +match[2] <= 12) {
+    const month = String(+match[2]).padStart(2, '0');
+    return end ? lastDay(+match[1], +match[2]) : `${match[1]}-${month}-01`;
+  }
+  if (/^\d{4}$/.test(value)) {
+    return end ? `${value}-12-31` : `${value}-01-01`;
+  }
+  return parseTransactionDate(value);
+}
+
+// 'delta vendor:"home depot" from:2025-03 min:100 has:receipt' -> { words: ['delta'], vendor: 'home depot', ... }
+function parseSearchQuery(query) {
+  const filters = { words: [] };
+  const tokens = query.match(/\w+:"[^"]*"|"[^"]*"|\S+/g) || [];
+  
+  for (const token of tokens) {
+    const match = token.match(/^(\w+):(.*)$/);
+    if (!match) {
+      filters.words.push(token.replace(/"/g, '').toLowerCase());
+      continue;
+    }
+    
+    const key = match[1].toLowerCase();
+    const value = match[2].replace(/^"|"$/g, '').trim();
+    if (!value) {
+      return { error: `Nothing after "${key}:"` };
+    }
+    
+    switch (key) {
+      case 'vendor':
+      case 'category':
+        filters[key] = value.toLowerCase();
+        break;
+      case 'entity': {
+        const entity = value.toLowerCase() === 'personal' ? 'personal' : normalizeEntity(value);
+        if (!entity) {
+          return { error: `Unknown entity "${value}" - use scorp, llc or personal` };
+        }
+        filters.entity = entity;
+        break;
+      }
+      case 'from':
+      case 'to': {
+        const date = parseSearchDate(value, key === 'to');
+        if (!date) {
+          return { error: `"${value}" is not a date` };
+        }
+        filters[key] = date;
+        break;
+      }
+      case 'min':
+      case 'max': {
+        const amount = parseFloat(value.replace(/[$,]/g, ''));
+        if (!isFinite(amount)) {
+          return { error: `"${value}" is not an amount` };
+        }
+        filters[key] = amount;
+        break;
+      }
+      case 'has':
+      case 'no':
+        if (value.toLowerCase() !== 'receipt') {
+          return { error: `Unknown filter "${token}" - use has:receipt or no:receipt` };
+        }
+        filters.receipt = key === 'has';
+        break;
+      default:
+        return { error: `Unknown filter "${key}:"` };
+    }
+  }
+  
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: `from:${filters.from} is after to:${filters.to}` };
+  }
+  return filters;
+}
+
+function matchesSearch(row, filters) {
+  const date = toISODate(row.get('Date'));
+  const amount = parseAmount(row.get('Amount'));
+  const text = ['Entry ID', 'Vendor', 'Category', 'Description', 'Work Description', 'Tax Notes']
+    .map(column => row.get(column) || '').join(' ').toLowerCase();
+  
+  return filters.words.every(word => text.includes(word)) &&
+    (!filters.vendor || (row.get('Vendor') || '').toLowerCase().includes(filters.vendor)) &&
+    (!filters.category || (row.get('Category') || '').toLowerCase().includes(filters.category)) &&
+    (!filters.entity || reportEntityKey(row) === filters.entity) &&
+    (!filters.from || (date && date >= filters.from)) &&
+    (!filters.to || (date && date <= filters.to)) &&
+    (filters.min === undefined || amount >= filters.min) &&
+    (filters.max === undefined || amount <= filters.max) &&
+    (filters.receipt === undefined || !!row.get('Receipt URL') === filters.receipt);
+}
+
+// Every active ledger entry matching a /search query, newest first
+async function searchLedger(query) {
+  const filters = parseSearchQuery(query);
+  if (filters.error) {
+    return filters;
+  }
+  
+  const doc = await initStorage();
+  const entries = await getLedgerEntries(doc);
+  const matches = entries
+    .filter(entry => !isVoided(entry.row) && matchesSearch(entry.row, filters))
+    .sort((a, b) =>
+      (toISODate(b.row.get('Date')) || '').localeCompare(toISODate(a.row.get('Date')) || '') ||
+      (b.row.get('Logged At') || '').localeCompare(a.row.get('Logged At') || '')
+    );
+  
+  return { matches };
+}
+
+// Remember a query so the next/prev buttons can run it again on a later invocation
+async function saveSearch(chatId, query) {
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, SEARCHES_TITLE, SEARCH_HEADERS);
+  const rows = await sheet.getRows();
+  const existing = rows.find(row => row.get('Chat ID') === chatId && row.get('Query') === query);
+  if (existing) {
+    return existing.get('Search ID');
+  }
+  
+  const searchId = crypto.randomBytes(4).toString('hex').toUpperCase();
+  await sheet.addRow({ 'Search ID': searchId, 'Chat ID': chatId, 'Query': query, 'Created At': new Date().toISOString() });
+  return searchId;
+}
+
+async function loadSearch(searchId, chatId) {
+  const doc = await initStorage();
+  const sheet = doc.sheetsByTitle[SEARCHES_TITLE];
+  const row = sheet && (await sheet.getRows()).find(searchRow => searchRow.get('Search ID') === searchId);
+  return row && row.get('Chat ID') === chatId ? row.get('Query') : null;
+}
+
+// One page of search results plus its next/prev buttons
+function formatSearchPage(searchId, query, matches, page) {
+  const pageCount = Math.max(Math.ceil(matches.length / SEARCH_PAGE_SIZE), 1);
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const start = current * SEARCH_PAGE_SIZE;
+  
+  if (matches.length === 0) {
+    return { text: `🔍 No entries match <b>${escapeHtml(query)}</b>` };
+  }
+  
+  const total = matches.filter(({ row }) => isCounted(row)).reduce((sum, { row }) => sum + parseAmount(row.get('Amount')), 0);
+  let text = `🔍 <b>${escapeHtml(query)}</b>\n` +
+    `${matches.length} ${matches.length === 1 ? 'entry' : 'entries'} · $${total.toFixed(2)}` +
+    (pageCount > 1 ? ` · page ${current + 1} of ${pageCount}` : '') + '\n\n';
+  
+  matches.slice(start, start + SEARCH_PAGE_SIZE).forEach(({ row, tab }) => {
+    const flag = isPendingApproval(row) ? ' ⏳ awaiting approval' : row.get('Status') === NEEDS_REVIEW_STATUS ? ' 🔎 needs review' : '';
+    const marker = isSplit(row) ? ' ✂️ split' : row.get('Parent Entry') ? ` ✂️ part of ${row.get('Parent Entry')}` : '';
+    text += `<b>${row.get('Entry ID') || '(no ID yet)'}</b> ${escapeHtml(row.get('Date'))} - ${escapeHtml(row.get('Vendor'))} - $${escapeHtml(row.get('Amount'))}${row.get('Receipt URL') ? ' 📎' : ''}${flag}${marker}\n`;
+    text += `   📂 ${escapeHtml(row.get('Category'))} · ${tab}\n`;
+    text += `   📝 ${escapeHtml(row.get('Description'))}\n\n`;
+  });
+  text += `💡 Use /edit [ID] or /note [ID] to change an entry`;
+  
+  const buttons = [];
+  if (current > 0) {
+    buttons.push({ text: '⬅️ Prev', callback_data: `s:${searchId}:${current - 1}` });
+  }
+  if (current < pageCount - 1) {
+    buttons.push({ text: 'Next ➡️', callback_data: `s:${searchId}:${current + 1}` });
+  }
+  
+  return { text, keyboard: buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined };
+}
+
+// Prev / Next on a search result ("s:<searchId>:<page>")
+async function handleSearchCallback(callbackQuery, chatId) {
+  const [, searchId, page] = callbackQuery.data.split(':');
+  const query = await loadSearch(searchId, chatId);
+  if (!query) {
+    await answerCallbackQuery(callbackQuery.id, 'Search not found - run /search again');
+    return 'Search not found';
+  }
+  
+  const result = await searchLedger(query);
+  const { text, keyboard } = formatSearchPage(searchId, query, result.matches || [], parseInt(page) || 0);
+  await editTelegramMessage(chatId, callbackQuery.message.message_id, text, keyboard ? { reply_markup: keyboard } : {});
+  await answerCallbackQuery(callbackQuery.id);
+  return 'Search page sent';
+}
+
+// Text that reads as a question about spending rather than an expense to log. An amount with no
+// question mark ("How about lunch $30") is still an expense.
+const QUESTION_START = /^(how|what|which|when|who|where|did|do|does|have|has|is|are|was|were|show|list|tell|total|sum|give)\b/i;
+const MONEY_PATTERN = /\$\s?\d|[€£]\s?\d|\b\d+(?:\.\d{1,2})?\s*(?:dollars|bucks|usd|eur|gbp|cad)\b/i;
+const SPENDING_AGGREGATES = ['sum', 'count', 'average', 'max', 'min'];
+const SPENDING_GROUPS = ['category', 'entity', 'vendor', 'month'];
+const SPENDING_ROWS_SHOWN = 10;
+
+function looksLikeQuestion(text) {
+  const trimmed = text.trim();
+  const asks = /\?$/.test(trimmed);
+  const hasAmount = MONEY_PATTERN.test(trimmed);
+  return QUESTION_START.test(trimmed) ? asks || !hasAmount : asks && !hasAmount;
+}
+
+// Check the model's query against what the ledger holds. The filters end up in the same shape
+// /search uses, so both run through matchesSearch.
+function validateSpendingQuery(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { query: null, errors: ['The response is not a single valid JSON object'] };
+  }
+  if (raw.type === 'expense') {
+    return { query: { type: 'expense' }, errors: [] };
+  }
+  
+  const errors = [];
+  const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+  const filters = { words: Array.isArray(raw.words) ? raw.words.map(asText).filter(Boolean).map(word => word.toLowerCase()) : [] };
+  
+  if (asText(raw.vendor)) {
+    filters.vendor = asText(raw.vendor).toLowerCase();
+  }
+  
+  if (asText(raw.category)) {
+    const categories = [...new Set(Object.values(EXPENSE_CATEGORIES).flat())];
+    const category = categories.find(known => known.toLowerCase() === asText(raw.category).toLowerCase());
+    if (category) {
+      filters.category = category.toLowerCase();
+    } else {
+      errors.push(`category ${JSON.stringify(raw.category)} is not one of: ${categories.join(', ')}`);
+    }
+  }
+  
+  if (asText(raw.entity)) {
+    const entity = asText(raw.entity).toLowerCase() === 'personal' ? 'personal' : normalizeEntity(asText(raw.entity));
+    if (entity) {
+      filters.entity = entity;
+    } else {
+      errors.push(`entity must be "scorp", "family_llc", "personal" or null, got ${JSON.stringify(raw.entity)}`);
+    }
+  }
+  
+  ['from', 'to'].forEach(key => {
+    if (raw[key] && !isValidISODate(raw[key])) {
+      errors.push(`${key} must be a YYYY-MM-DD date or null, got ${JSON.stringify(raw[key])}`);
+    } else if (raw[key]) {
+      filters[key] = raw[key];
+    }
+  });
+  
+  [['minAmount', 'min'], ['maxAmount', 'max']].forEach(([key, filter]) => {
+    if (raw[key] !== null && raw[key] !== undefined) {
+      const amount = parseFloat(String(raw[key]).replace(/[$,]/g, ''));
+      if (isFinite(amount)) {
+        filters[filter] = amount;
+      } else {
+        errors.push(`${key} must be a number or null, got ${JSON.stringify(raw[key])}`);
+      }
+    }
+  });
+  
+  if (typeof raw.receipt === 'boolean') {
+    filters.receipt = raw.receipt;
+  }
+  
+  const aggregate = asText(raw.aggregate).toLowerCase() || 'sum';
+  if (!SPENDING_AGGREGATES.includes(aggregate)) {
+    errors.push(`aggregate must be one of ${SPENDING_AGGREGATES.join(', ')}, got ${JSON.stringify(raw.aggregate)}`);
+  }
+  const groupBy = asText(raw.groupBy).toLowerCase() || null;
+  if (groupBy && !SPENDING_GROUPS.includes(groupBy)) {
+    errors.push(`groupBy must be one of ${SPENDING_GROUPS.join(', ')} or null, got ${JSON.stringify(raw.groupBy)}`);
+  }
+  
+  return { query: { type: 'question', filters, aggregate, groupBy }, errors };
+}
+
+// Ask the AI to turn a question into filters plus an aggregation. It never sees the ledger - the
+// numbers are worked out from the rows afterwards. Returns null when the AI is unavailable.
+async function buildSpendingQueryWithAI(question) {
+  if (AI_PROVIDER === 'offline') {
+    return null;
+  }
+  
+  const today = formatDate(new Date());
+  const prompt = `
+You turn questions about a small business's spending into a query over its expense ledger.
+If the message is actually an expense to record (e.g. "lunch with client 85"), respond with {"type": "expense"}.
+Otherwise respond with ONLY a valid JSON object in this exact format:
+{
+  "type": "question",
+  "vendor": "part of the vendor name" or null,
+  "category": one of ${JSON.stringify([...new Set(Object.values(EXPENSE_CATEGORIES).flat())])} or null,
+  "entity": "scorp" or "family_llc" or "personal" or null,
+  "from": "YYYY-MM-DD" or null,
+  "to": "YYYY-MM-DD" or null,
+  "minAmount": number or null,
+  "maxAmount": number or null,
+  "receipt": true (only entries with a receipt), false (only entries without one) or null,
+  "words": [words that must appear in the vendor or description, only when no other field fits],
+  "aggregate": "sum" or "count" or "average" or "max" or "min",
+  "groupBy": "category" or "entity" or "vendor" or "month" or null
+}
+
+Today's date is ${today}. Quarters are calendar quarters; "this year" runs from January 1 to today.
+Payments to the son are Contract Labor in the family_llc entity.
+Leave a field null unless the question asks for it.
+
+Question: "${question}"
+
+Your entire response MUST ONLY be a single, valid JSON object. DO NOT include backticks or markdown formatting.
+`;
+  const messages = [{ role: 'user', content: prompt }];
+  
+  try {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const responseText = await requestAIText(messages);
+      if (responseText === null) {
+        return null;
+      }
+      
+      const { query, errors } = validateSpendingQuery(parseJsonResponse(responseText));
+      if (errors.length === 0) {
+        return query;
+      }
+      console.error(`AI query failed validation (attempt ${attempt}):`, errors, responseText);
+      messages.push(
+        { role: 'assistant', content: responseText },
+        { role: 'user', content: `That JSON has these problems:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the corrected JSON object.` }
+      );
+    }
+  } catch (error) {
+    console.error('Error building spending query:', error);
+  }
+  return null;
+}
+
+// The period a question mentions: Q2, this year, last month, March 2025, in 2024... or {} for all time
+function parseQuestionPeriod(lower, today = new Date()) {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth() + 1;
+  const pad = (n) => String(n).padStart(2, '0');
+  let match;
+  
+  if ((match = lower.match(/\bq([1-4])(?:\s+(\d{4}))?\b/))) {
+    return parseReportPeriod(`${match[2] || year}-q${match[1]}`, today);
+  }
+  if (/\blast year\b/.test(lower)) {
+    return parseReportPeriod(String(year - 1), today);
+  }
+  if (/\b(this year|ytd|year to date)\b/.test(lower)) {
+    return parseReportPeriod('ytd', today);
+  }
+  if (/\bthis month\b/.test(lower)) {
+    return parseReportPeriod('month', today);
+  }
+  if (/\blast month\b/.test(lower)) {
+    return parseReportPeriod(month === 1 ? `${year - 1}-12` : `${year}-${pad(month - 1)}`, today);
+  }
+  if (/\bthis quarter\b/.test(lower)) {
+    return parseReportPeriod('quarter', today);
+  }
+  if ((match = lower.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s+(\d{4}))?\b/))) {
+    const monthNumber = MONTH_NAMES.indexOf(match[1]) + 1;
+    // A month without a year is the most recent one
+    const monthYear = match[2] ? +match[2] : monthNumber > month ? year - 1 : year;
+    return parseReportPeriod(`${monthYear}-${pad(monthNumber)}`, today);
+  }
+  if ((match = lower.match(/\b(?:in|for|during)\s+(\d{4})\b/))) {
+    return parseReportPeriod(match[1], today);
+  }
+  return {};
+}
+
+// Read a question without the AI: keywords for the period, entity, category, vendor and aggregation
+function buildSpendingQueryOffline(question, today = new Date()) {
+  const lower = question.toLowerCase();
+  const filters = { words: [] };
+  
+  const { from, to } = parseQuestionPeriod(lower, today);
+  Object.assign(filters, from ? { from, to } : {});
+  
+  if (/\bs-?\s?corp\b/.test(lower)) {
+    filters.entity = 'scorp';
+  } else if (/\b(llc|family)\b/.test(lower)) {
+    filters.entity = 'family_llc';
+  } else if (/\bpersonal\b/.test(lower)) {
+    filters.entity = 'personal';
+  }
+  
+  if (/\bson\b/.test(lower)) {
+    filters.category = 'contract labor';
+    filters.entity = 'family_llc';
+  } else {
+    // A category whose distinctive word appears in the question - "travel", "meals", "software"...
+    const categories = [...new Set(Object.values(EXPENSE_CATEGORIES).flat())];
+    const category = categories.find(name => name.toLowerCase().split(/[\s/]+/)
+      .some(word => word.length > 3 && !['expenses', 'services'].includes(word) && new RegExp(`\\b${word}`).test(lower)));
+    if (category) {
+      filters.category = category.toLowerCase();
+    }
+  }
+  
+  const vendor = question.match(/\b(?:at|from|with)\s+([a-z][\w&' ]*?)(?=\s+(?:in|on|for|during|this|last|since|so|over|by|per)\b|[?.,!]|$)/i);
+  if (vendor) {
+    filters.vendor = vendor[1].trim().toLowerCase();
+  }
+  
+  const aggregate = /\bhow many\b/.test(lower) ? 'count'
+    : /\baverage\b/.test(lower) ? 'average'
+    : /\b(biggest|largest|most expensive|highest)\b/.test(lower) ? 'max'
+    : /\b(smallest|cheapest|lowest)\b/.test(lower) ? 'min'
+    : 'sum';
+  const group = lower.match(/\b(?:by|per|each)\s+(category|entity|vendor|month)\b/);
+  
+  return { type: 'question', filters, aggregate, groupBy: group ? group[1] : null, offline: true };
+}
+
+// The /search command that lists the same rows
+function toSearchQuery(filters) {
+  const quote = (value) => (/\s/.test(value) ? `"${value}"` : value);
+  return [
+    ...filters.words,
+    filters.vendor && `vendor:${quote(filters.vendor)}`,
+    filters.category && `category:${quote(filters.category)}`,
+    filters.entity && `entity:${filters.entity === 'family_llc' ? 'llc' : filters.entity}`,
+    filters.from && `from:${filters.from}`,
+    filters.to && `to:${filters.to}`,
+    filters.min !== undefined && `min:${filters.min}`,
+    filters.max !== undefined && `max:${filters.max}`,
+    filters.receipt !== undefined && (filters.receipt ? 'has:receipt' : 'no:receipt')
+  ].filter(Boolean).join(' ');
+}
+
+function describeSpendingQuery({ filters }) {
+  const category = filters.category && [...new Set(Object.values(EXPENSE_CATEGORIES).flat())]
+    .find(name => name.toLowerCase() === filters.category);
+  const period = filters.from && filters.to ? `${filters.from} to ${filters.to}`
+    : filters.from ? `since ${filters.from}`
+    : filters.to ? `up to ${filters.to}`
+    : 'all time';
+  return [
+    filters.entity ? ENTITY_LABELS[filters.entity] : 'All entities',
+    category || filters.category || 'all categories',
+    filters.vendor && `vendor "${filters.vendor}"`,
+    filters.words.length > 0 && `"${filters.words.join(' ')}"`,
+    period
+  ].filter(Boolean).join(' · ');
+}
+
+// Work out the answer from the ledger rows themselves - counted spending only
+async function runSpendingQuery(query) {
+  const doc = await initStorage();
+  const entries = await getLedgerEntries(doc);
+  const rows = entries
+    .filter(({ row }) => isCounted(row) && row.get('Business Type') !== INTERCOMPANY_INCOME && matchesSearch(row, query.filters))
+    .sort((a, b) => (toISODate(b.row.get('Date')) || '').localeCompare(toISODate(a.row.get('Date')) || ''));
+  
+  const amounts = rows.map(({ row }) => parseAmount(row.get('Amount')));
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  const deductible = rows.reduce((sum, { row }) => sum + parseAmount(row.get('Amount')) * parseAmount(row.get('Deductible %')) / 100, 0);
+  
+  const groups = new Map();
+  if (query.groupBy) {
+    rows.forEach(({ row }) => {
+      const key = query.groupBy === 'category' ? row.get('Category') || 'Uncategorized'
+        : query.groupBy === 'entity' ? ENTITY_LABELS[reportEntityKey(row)]
+        : query.groupBy === 'vendor' ? row.get('Vendor') || 'Unknown'
+        : (toISODate(row.get('Date')) || 'Unknown').slice(0, 7);
+      const group = groups.get(key) || { total: 0, count: 0 };
+      group.total += parseAmount(row.get('Amount'));
+      group.count += 1;
+      groups.set(key, group);
+    });
+  }
+  
+  // For the largest / smallest the rows shown are ordered by amount
+  if (query.aggregate === 'max' || query.aggregate === 'min') {
+    const direction = query.aggregate === 'max' ? -1 : 1;
+    rows.sort((a, b) => direction * (parseAmount(a.row.get('Amount')) - parseAmount(b.row.get('Amount'))));
+  }
+  
+  return { rows, total, deductible, groups };
+}
+
+function formatSpendingAnswer(query, result) {
+  const { rows, total, deductible, groups } = result;
+  const money = (value) => `$${value.toFixed(2)}`;
+  const count = `${rows.length} ${rows.length === 1 ? 'entry' : 'entries'}`;
+  let response = `📊 <b>${escapeHtml(describeSpendingQuery(query))}</b>\n`;
+  
+  if (rows.length === 0) {
+    return response + `No spending matches.\n\n🔎 /search ${escapeHtml(toSearchQuery(query.filters))}`;
+  }
+  
+  const first = rows[0].row;
+  switch (query.aggregate) {
+    case 'count':
+      response += `🔢 ${count} (${money(total)})\n`;
+      break;
+    case 'average':
+      response += `📈 Average ${money(total / rows.length)} across ${count}\n`;
+      break;
+    case 'max':
+    case 'min':
+      response += `${query.aggregate === 'max' ? '⬆️ Largest' : '⬇️ Smallest'}: ${money(parseAmount(first.get('Amount')))} - ${escapeHtml(first.get('Vendor'))} on ${escapeHtml(first.get('Date'))} (${first.get('Entry ID')})\n`;
+      break;
+    default:
+      response += `💰 ${money(total)} across ${count} · ${money(deductible)} deductible\n`;
+  }
+  
+  if (groups.size > 0) {
+    response += `\n<b>By ${query.groupBy}:</b>\n`;
+    [...groups].sort(([a, x], [b, y]) => (query.groupBy === 'month' ? a.localeCompare(b) : y.total - x.total)).forEach(([key, group]) => {
+      response += `• ${escapeHtml(key)}: ${money(group.total)} (${group.count})\n`;
+    });
+  }
+  
+  response += `\n<b>Based on:</b>\n`;
+  rows.slice(0, SPENDING_ROWS_SHOWN).forEach(({ row, tab }) => {
+    response += `<b>${row.get('Entry ID') || '(no ID yet)'}</b> ${escapeHtml(row.get('Date'))} - ${escapeHtml(row.get('Vendor'))} - $${escapeHtml(row.get('Amount'))} · ${escapeHtml(row.get('Category'))} · ${tab}\n`;
+  });
+  if (rows.length > SPENDING_ROWS_SHOWN) {
+    response += `…and ${rows.length - SPENDING_ROWS_SHOWN} more\n`;
+  }
+  response += `\n🔎 /search ${escapeHtml(toSearchQuery(query.filters))}`;
+  
+  if (query.offline) {
+    response += `\n⚠️ The AI was unavailable - the question was read by keyword rules, check the filters above`;
+  }
+  return response;
+}
+
+// Answer a spending question from the ledger. Returns { type: 'expense' } when the AI reads the
+// message as an expense after all.
+async function answerSpendingQuestion(question) {
+  const query = await buildSpendingQueryWithAI(question) || buildSpendingQueryOffline(question);
+  if (query.type === 'expense') {
+    return query;
+  }
+  
+  const result = await runSpendingQuery(query);
+  return { type: 'question', text: formatSpendingAnswer(query, result) };
+}
+
+// Keep "Amount", "Original Amount" and "Exchange Rate" consistent when one of them (or the currency)
+// is edited. The USD amount is what's edited directly, so changing it adjusts the rate.
+async function recalculateConversion(row, field, value) {
+  const currency = field === 'currency' ? value : (row.get('Currency') || 'USD');
+  const original = field === 'originalAmount' ? value : parseAmount(row.get('Original Amount') || row.get('Amount'));
+  let rate = field === 'rate' ? value : parseFloat(row.get('Exchange Rate'));
+  const warnings = [];
+  
+  if (currency === 'USD') {
+    if (field === 'rate' && value !== 1) {
+      return { error: 'This entry is in USD - set its currency first, e.g. /edit [ID] currency EUR' };
+    }
+    const amount = field === 'amount' ? value : original;
+    return { values: { 'Amount': amount, 'Original Amount': amount, 'Currency': 'USD', 'Exchange Rate': 1 } };
+  }
+  
+  if (field === 'amount') {
+    return { values: { 'Exchange Rate': Math.round(value / original * 1e6) / 1e6, 'Original Amount': original, 'Currency': currency } };
+  }
+  if (field === 'currency') {
+    const found = await getExchangeRate(currency, toISODate(row.get('Date')) || formatDate(new Date()));
+    if (!found) {
+      return { error: `No ${currency} rate on file - add one with /rate ${currency} [USD value] first` };
+    }
+    rate = found.rate;
+    if (found.stale) {
+      warnings.push(`Converted at the ${found.source} - no ${currency} rate for this year on file yet, add one with /rate ${currency} [USD value] and edit the rate`);
+    }
+  }
+  if (!rate) {
+    return { error: `This entry has no ${currency} rate - set one with /edit [ID] rate [USD value]` };
+  }
+  return { values: { 'Amount': toUSD(original, rate), 'Original Amount': original, 'Currency': currency, 'Exchange Rate': rate }, warnings };
+}
+
+// Why an entry can't take an edit to this field, or null if it can
+function editBlockedReason(entries, row, field) {
+  if (isVoided(row)) {
+    return `Entry ${row.get('Entry ID')} has been deleted. Use /undo to restore it first.`;
+  }
+  if (isSplit(row)) {
+    const partIds = getSplitParts(entries, row.get('Entry ID')).map(part => part.row.get('Entry ID'));
+    return `Entry ${row.get('Entry ID')} is split into ${partIds.join(', ')} - edit those, or /split ${row.get('Entry ID')} again`;
+  }
+  if (CURRENCY_FIELDS.includes(field) && row.get('Parent Entry')) {
+    return `Entry ${row.get('Entry ID')} is part of entry ${row.get('Parent Entry')} - change the amounts with /split ${row.get('Parent Entry')}`;
+  }
+  return null;
+}
+
+// Edit a single field of an entry, looked up by its entry ID
+async function editEntry(entryId, field, newValue, actor = {}) {
+  const result = await editEntryFields(entryId, { [field]: newValue }, actor);
+  return result.success
+    ? { success: true, entryId: result.entryId, oldValue: result.oldValues[field], newValue: result.newValues[field], warnings: result.warnings }
+    : result;
+}
+
+// Edit several fields of an entry as one change. Each value is checked against the entry as the
+// earlier ones leave it and nothing is written unless all pass; one audit row lets /undo revert them together.
+async function editEntryFields(entryId, changes, actor = {}) {
+  try {
+    const fields = Object.keys(changes);
+    const unknown = fields.find(field => !EDITABLE_FIELDS[field]);
+    if (unknown) {
+      return { success: false, error: `Unknown field "${unknown}"` };
+    }
+    
+    const doc = await initStorage();
+    const entries = await prepareLedgerForWrite(doc);
+    const entry = findEntryById(entries, entryId);
+    
+    if (!entry) {
+      return { success: false, error: `Entry ${normalizeEntryId(entryId)} not found. Use /recent to see entry IDs.` };
+    }
+    
+    const { row } = entry;
+    const values = {};
+    const preview = { get: column => (column in values ? values[column] : row.get(column)) };
+    const oldFieldValues = {};
+    const newFieldValues = {};
+    const warnings = [];
+    // A dashboard edit names the field that failed; a single /edit doesn't need to
+    const fail = (field, error) => ({ success: false, error: fields.length > 1 ? `${field}: ${error}` : error });
+    
+    for (const field of fields) {
+      const blocked = editBlockedReason(entries, preview, field);
+      if (blocked) {
+        return { success: false, error: blocked };
+      }
+      const check = validateFieldValue(field, String(changes[field] ?? '').trim(), preview);
+      if (!check.valid) {
+        return fail(field, check.error);
+      }
+      const conversion = CURRENCY_FIELDS.includes(field) ? await recalculateConversion(preview, field, check.value) : {};
+      if (conversion.error) {
+        return fail(field, conversion.error);
+      }
+      
+      const column = EDITABLE_FIELDS[field].column;
+      oldFieldValues[field] = preview.get(column);
+      newFieldValues[field] = check.value;
+      Object.assign(values, { [column]: check.value }, conversion.values);
+      warnings.push(...(check.warnings || []), ...(conversion.warnings || []));
+      if (field !== 'amount' && conversion.values && 'Amount' in conversion.values) {
+        const converted = conversion.values;
+        warnings.push(`USD amount is now $${converted['Amount']} (${converted['Original Amount']} ${converted['Currency']} at ${converted['Exchange Rate']})`);
+      }
+    }
+    
+    const oldValues = {};
+    Object.keys(values).forEach(column => {
+      oldValues[column] = row.get(column) || '';
+    });
+    // Correcting a flagged entry counts as reviewing it
+    if (row.get('Status') === NEEDS_REVIEW_STATUS) {
+      values['Status'] = '';
+      oldValues['Status'] = NEEDS_REVIEW_STATUS;
+    }
+    const linked = await updateEntryValues(doc, entries, entry, values);
+    await writeAuditLog(doc, actor, 'edit', row.get('Entry ID'), oldValues, values);
+    
+    const columns = fields.map(field => EDITABLE_FIELDS[field].column);
+    if (columns.some(column => ['Category', 'Entity', 'Business Type'].includes(column)) && entry.row.get('Business Type') !== INTERCOMPANY_INCOME) {
+      await learnVendorCategory(doc, {
+        vendor: entry.row.get('Vendor'),
+        category: entry.row.get('Category'),
+        entityType: entry.row.get('Entity'),
+        businessType: entry.row.get('Business Type')
+      }, actor);
+    }
+    
+    if (linked && columns.some(column => LINKED_COLUMNS.includes(column))) {
+      warnings.push(`Linked entry ${linked.row.get('Entry ID')} in ${linked.tab} was updated too`);
+    }
+    
+    return { success: true, entryId: row.get('Entry ID'), oldValues: oldFieldValues, newValues: newFieldValues, warnings };
+  } catch (error) {
+    console.error('Error editing entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Soft-delete an entry: it is marked voided, never erased
+async function deleteEntry(entryId, actor = {}) {
+  try {
+    const doc = await initStorage();
+    const entries = await prepareLedgerForWrite(doc);
+    const entry = findEntryById(entries, entryId);
+    
+    if (!entry) {
+      return { success: false, error: `Entry ${normalizeEntryId(entryId)} not found. Use /recent to see entry IDs.` };
+    }
+    
+    const { row } = entry;
+    if (isVoided(row)) {
+      return { success: false, error: `Entry ${row.get('Entry ID')} is already deleted` };
+    }
+    if (isSplit(row)) {
+      const partIds = getSplitParts(entries, row.get('Entry ID')).map(part => part.row.get('Entry ID'));
+      return { success: false, error: `Entry ${row.get('Entry ID')} is split into ${partIds.join(', ')} - delete those parts instead` };
+    }
+    
+    // Undo puts the old status back, so a deleted entry that was pending or flagged stays that way
+    const oldStatus = row.get('Status') || '';
+    const linked = await updateEntryValues(doc, entries, entry, { 'Status': VOIDED_STATUS });
+    await writeAuditLog(doc, actor, 'delete', row.get('Entry ID'), { 'Status': oldStatus }, { 'Status': VOIDED_STATUS });
+    
+    return {
+      success: true,
+      entryId: row.get('Entry ID'),
+      vendor: row.get('Vendor'),
+      amount: row.get('Amount'),
+      linkedEntryId: linked ? linked.row.get('Entry ID') : null
+    };
+  } catch (error) {
+    console.error('Error deleting entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Reverse the most recent add, edit or delete made from this chat
+async function undoLastChange(actor = {}) {
+  try {
+    const doc = await initStorage();
+    const auditRows = await getAuditRows(doc);
+    const lastChange = auditRows.reverse().find(auditRow =>
+      auditRow.get('Chat ID') === String(actor.chatId) &&
+      ['add', 'edit', 'delete', 'merge', 'split'].includes(auditRow.get('Action')) &&
+      !auditRow.get('Undone At')
+    );
+    
+    if (!lastChange) {
+      return { success: false, error: 'Nothing to undo' };
+    }
+    
+    const entries = await prepareLedgerForWrite(doc);
+    const entry = findEntryById(entries, lastChange.get('Entry ID'));
+    
+    if (!entry) {
+      return { success: false, error: `Entry ${lastChange.get('Entry ID')} no longer exists` };
+    }
+    
+    // Undoing an add voids the row; edits and deletes put the old values back
+    const action = lastChange.get('Action');
+    const restored = action === 'add'
+      ? { 'Status': VOIDED_STATUS }
+      : JSON.parse(lastChange.get('Old Values') || '{}');
+    const replaced = {};
+    
+    Object.keys(restored).forEach(column => {
+      replaced[column] = entry.row.get(column) || '';
+    });
+    
+    await updateEntryValues(doc, entries, entry, restored);
+    
+    // Undoing a split (or the add of an expense saved split) voids its parts. A re-split also
+    // brings back the parts it replaced.
+    if (action === 'split' || action === 'add') {
+      for (const part of getSplitParts(entries, entry.row.get('Entry ID'))) {
+        await updateEntryValues(doc, entries, part, { 'Status': VOIDED_STATUS });
+      }
+    }
+    if (action === 'split') {
+      for (const auditRow of auditRows.slice(auditRows.indexOf(lastChange) + 1)) {
+        if (auditRow.get('Action') === 'add-split') {
+          continue;
+        }
+        if (auditRow.get('Action') !== 'void-split') {
+          break;
+        }
+        const part = findEntryById(entries, auditRow.get('Entry ID'));
+        if (part) {
+          await updateEntryValues(doc, entries, part, JSON.parse(auditRow.get('Old Values') || '{}'));
+        }
+      }
+    }
+    
+    lastChange.set('Undone At', new Date().toISOString());
+    await lastChange.save();
+    await writeAuditLog(doc, actor, 'undo', entry.row.get('Entry ID'), replaced, restored);
+    
+    return { success: true, action, entryId: entry.row.get('Entry ID'), restored };
+  } catch (error) {
+    console.error('Error undoing change:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// The other side of an intercompany item, e.g. the Family LLC's income for the S-Corp's management fee
+function buildIntercompanyCounterpart(rowData, entryId) {
+  const toFamilyLLC = rowData['Entity'] !== 'family_llc';
+  const from = toFamilyLLC ? 'S-Corp' : 'Family LLC';
+  
+  return {
+    ...rowData,
+    'Entry ID': entryId,
+    'Category': toFamilyLLC ? 'Management Services' : 'Professional Services',
+    'Business Type': INTERCOMPANY_INCOME,
+    'Entity': toFamilyLLC ? 'family_llc' : 'scorp',
+    'Deductible %': 0,
+    'Tax Notes': `Intercompany income from ${from} - other side of entry ${rowData['Entry ID']}`,
+    'Description': `${rowData['Description']} (received from ${from})`,
+    'Linked Entry': rowData['Entry ID']
+  };
+}
+
+// Add expenses to their entity ledger tabs (and the master view, if kept)
+async function addExpensesToSheet(expenseList, actor = {}) {
+  try {
+    // A foreign amount without a rate isn't in dollars, so it can't be written where totals count it
+    for (const expenseData of expenseList) {
+      if ((expenseData.currency || 'USD') !== 'USD' && !expenseData.exchangeRate) {
+        await convertToUSD(expenseData);
+        if (!expenseData.exchangeRate) {
+          return { success: false, error: `No ${expenseData.currency} rate on file - add one with /rate ${expenseData.currency} [USD value] first` };
+        }
+      }
+    }
+    
+    const doc = await initStorage();
+    const entries = await prepareLedgerForWrite(doc);
+    const existingIds = new Set(entries.map(entry => normalizeEntryId(entry.row.get('Entry ID'))).filter(Boolean));
+
+    const today = formatDate(new Date());
+    const loggedAt = new Date().toISOString();
+    const rowsToWrite = [];
+    const auditRows = [];
+    const saved = [];
+    const newRows = [];
+    
+    expenseList.forEach(expenseData => {
+      const entryId = generateEntryId(existingIds);
+      existingIds.add(entryId);
+      
+      const rowData = {
+        'Entry ID': entryId,
+        'Date': expenseData.transactionDate || today,
+        'Vendor': expenseData.vendor,
+        'Category': expenseData.category,
+        'Amount': expenseData.amount,
+        'Business Type': expenseData.businessType,
+        'Entity': expenseData.entityType,
+        'Deductible %': expenseData.deductibilityPercentage,
+        'Tax Notes': expenseData.taxNotes,
+        'Description': expenseData.suggestedDescription,
+        'Work Description': expenseData.workDescription || '',
+        'Receipt URL': expenseData.receiptPath || '',
+        'Status': expenseData.pendingApproval ? PENDING_APPROVAL_STATUS : expenseData.needsReview ? NEEDS_REVIEW_STATUS : '',
+        'Logged At': loggedAt,
+        'Linked Entry': '',
+        'Import ID': expenseData.importId || '',
+        'Receipt Hash': expenseData.receiptHash || '',
+        'Parent Entry': '',
+        'Original Amount': expenseData.originalAmount ?? expenseData.amount,
+        'Currency': expenseData.currency || 'USD',
+        'Exchange Rate': (expenseData.currency || 'USD') === 'USD' ? 1 : expenseData.exchangeRate,
+        'Submitted By': actor.user || ''
+      };
+      
+      const entryRows = [{ action: 'add', data: rowData }];
+      let parts = [];
+      if (expenseData.splits && expenseData.splits.length > 1) {
+        // The parent row keeps the receipt total; the parts are what gets counted
+        rowData['Status'] = SPLIT_STATUS;
+        parts = buildSplitRows(rowData, expenseData.splits, existingIds, expenseData.needsReview ? NEEDS_REVIEW_STATUS : '');
+        parts.forEach(part => entryRows.push({ action: 'add-split', data: part }));
+        newRows.push(...parts);
+      } else {
+        newRows.push(rowData);
+      }
+      if (expenseData.intercompany && expenseData.businessType !== 'personal' && parts.length === 0) {
+        const counterpart = buildIntercompanyCounterpart(rowData, generateEntryId(existingIds));
+        existingIds.add(counterpart['Entry ID']);
+        rowData['Linked Entry'] = counterpart['Entry ID'];
+        entryRows.push({ action: 'add-linked', data: counterpart });
+      }
+      
+      entryRows.forEach(({ action, data }) => {
+        rowsToWrite.push(data);
+        auditRows.push(buildAuditRow(actor, action, data['Entry ID'], null, data));
+      });
+      
+      saved.push({
+        entryId,
+        ledger: ledgerTabFor(rowData['Business Type'], rowData['Entity']),
+        linkedEntryId: rowData['Linked Entry'] || null,
+        parts: parts.map(part => ({ entryId: part['Entry ID'], amount: part['Amount'], category: part['Category'], ledger: ledgerTabFor(part['Business Type'], part['Entity']) }))
+      });
+    });
+    
+    await writeLedgerRows(doc, rowsToWrite, auditRows);
+    
+    // Warnings are per written row - a split entry collects its parts' warnings
+    const budgetWarnings = await checkBudgets(doc, entries, newRows);
+    let warningIndex = 0;
+    saved.forEach(entry => {
+      const count = Math.max(entry.parts.length, 1);
+      entry.budgetWarnings = budgetWarnings.slice(warningIndex, warningIndex + count).flat();
+      warningIndex += count;
+    });
+    
+    return { success: true, saved };
+  } catch (error) {
+    console.error('Error adding to sheet:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Add a single expense - see addExpensesToSheet
+async function addExpenseToSheet(expenseData, actor = {}) {
+  const result = await addExpensesToSheet([expenseData], actor);
+  return result.success ? { success: true, ...result.saved[0] } : result;
+}
+
+const SPLIT_USAGE = 'Usage: /split [ID] [part]; [part]; ...\n' +
+  'Each part: an amount, a percentage or "rest", then a category, optionally an entity and "- description"\n' +
+  'Examples:\n' +
+  '/split A7F3 45.20 office supplies; rest personal\n' +
+  '/split A7F3 60% travel; 40% personal - family dinner\n' +
+  '/split A7F3 100 equipment llc; rest software';
+
+// "/split A7F3 45.20 office supplies; 30% personal - groceries; rest meals scorp"
+function parseSplitArguments(args) {
+  const [entryId, ...rest] = args.trim().split(/\s+/);
+  const parts = rest.join(' ').split(/[;\n]/).map(part => part.trim()).filter(Boolean);
+  
+  if (!entryId || parts.length < 2) {
+    return { error: 'Give the entry ID and at least two parts' };
+  }
+  
+  const parsed = [];
+  for (const text of parts) {
+    const [spec, ...descriptionParts] = text.split(/\s+-\s+/);
+    const match = spec.match(/^(rest|\$?\d[\d,]*(?:\.\d{1,2})?%?)\s+(.+)$/i);
+    if (!match) {
+      return { error: `Couldn't read "${text}" - start each part with an amount, a percentage or "rest"` };
+    }
+    
+    const tokens = match[2].trim().split(/\s+/);
+    const lastToken = tokens[tokens.length - 1];
+    const entity = tokens.length > 1 ? normalizeEntity(lastToken) : null;
+    const part = {
+      categoryText: (entity ? tokens.slice(0, -1) : tokens).join(' '),
+      entity,
+      description: descriptionParts.join(' - ').trim()
+    };
+    
+    const amountText = match[1].toLowerCase();
+    if (amountText === 'rest') {
+      part.rest = true;
+    } else if (amountText.endsWith('%')) {
+      part.percent = parseAmount(amountText.slice(0, -1));
+    } else {
+      part.amount = parseAmount(amountText);
+    }
+    parsed.push(part);
+  }
+  
+  if (parsed.filter(part => part.rest).length > 1) {
+    return { error: 'Only one part can be "rest"' };
+  }
+  return { entryId, parts: parsed };
+}
+
+// Category, entity and business type for a split part. A category both entities use goes to the
+// entity being split unless the part names one; "personal" makes the part a personal expense.
+function resolveSplitPart(part, parentEntity, transactionDate) {
+  const matches = matchBudgetCategory(part.categoryText, part.entity);
+  const match = matches.length === 1 ? matches[0]
+    : matches.find(candidate => candidate.entity === parentEntity) || null;
+  
+  if (!match) {
+    return {
+      error: matches.length > 1
+        ? `"${part.categoryText}" matches ${matches.map(candidate => candidate.category).join(', ')} - be more specific`
+        : `"${part.categoryText}" is not a category. Choose one of: ${[...new Set(Object.values(EXPENSE_CATEGORIES).flat())].join(', ')}`
+    };
+  }
+  
+  const personal = match.entity === 'personal';
+  const entityType = personal ? (part.entity || parentEntity) : match.entity;
+  return {
+    category: match.category,
+    entityType,
+    businessType: personal ? 'personal' : entityType === 'family_llc' ? 'family_llc' : 'business',
+    deductibilityPercentage: personal ? 0 : defaultDeductibility(match.category, transactionDate),
+    description: part.description
+  };
+}
+
+// Turn parts given as amounts, percentages or "rest" into amounts that add up to the total to the
+// cent. Percentages are rounded, and any rounding left over lands on the last part.
+function allocateSplitAmounts(total, parts) {
+  const totalCents = Math.round(total * 100);
+  const cents = parts.map(part => {
+    if (part.rest) {
+      return null;
+    }
+    return part.percent !== undefined ? Math.round(totalCents * part.percent / 100) : Math.round(part.amount * 100);
+  });
+  const remaining = totalCents - cents.reduce((sum, value) => sum + (value || 0), 0);
+  
+  const restIndex = cents.indexOf(null);
+  if (restIndex !== -1) {
+    cents[restIndex] = remaining;
+  } else if (remaining !== 0) {
+    const allPercentages = parts.every(part => part.percent !== undefined);
+    if (!allPercentages || Math.abs(remaining) > parts.length) {
+      return {
+        error: `The parts add up to $${((totalCents - remaining) / 100).toFixed(2)} but the entry is $${(totalCents / 100).toFixed(2)}. ` +
+          'Fix the amounts or make one part "rest".'
+      };
+    }
+    cents[cents.length - 1] += remaining;
+  }
+  
+  if (cents.some(value => value <= 0)) {
+    return { error: `Every part needs an amount above zero, and together they can't exceed $${(totalCents / 100).toFixed(2)}` };
+  }
+  return { amounts: cents.map(value => value / 100) };
+}
+
+// Ledger rows for the parts of a split. Each keeps the parent's date, vendor and receipt,
+// and points back at it through "Parent Entry".
+function buildSplitRows(parentData, parts, existingIds, status = '') {
+  const rate = parseFloat(parentData['Exchange Rate']) || 1;
+  return parts.map((part, index) => {
+    const entryId = generateEntryId(existingIds);
+    existingIds.add(entryId);
+    
+    return {
+      ...parentData,
+      'Entry ID': entryId,
+      'Category': part.category,
+      'Amount': part.amount,
+      'Business Type': part.businessType,
+      'Entity': part.entityType,
+      'Deductible %': part.deductibilityPercentage,
+      'Tax Notes': `Part ${index + 1} of ${parts.length} of entry ${parentData['Entry ID']} ($${parentData['Amount']})`,
+      'Description': part.description || `${parentData['Description']} (${part.category})`,
+      'Status': status,
+      'Linked Entry': '',
+      'Import ID': '',
+      'Receipt Hash': '',
+      'Parent Entry': parentData['Entry ID'],
+      'Original Amount': part.originalAmount ?? Math.round(part.amount / rate * 100) / 100
+    };
+  });
+}
+
+function getSplitParts(entries, entryId) {
+  const id = normalizeEntryId(entryId);
+  return entries.filter(entry => normalizeEntryId(entry.row.get('Parent Entry')) === id && !isVoided(entry.row));
+}
+
+// Break an entry into parts with their own category, entity and business/personal flag. The entry
+// stays as the parent (marked Split, out of the totals) and the parts sum exactly to its amount.
+// Splitting an entry again replaces its parts.
+async function splitEntry(entryId, parts, actor = {}) {
+  try {
+    const doc = await initStorage();
+    const entries = await prepareLedgerForWrite(doc);
+    const entry = findEntryById(entries, entryId);
+    
+    if (!entry) {
+      return { success: false, error: `Entry ${normalizeEntryId(entryId)} not found. Use /recent to see entry IDs.` };
+    }
+    
+    const { row } = entry;
+    if (isVoided(row)) {
+      return { success: false, error: `Entry ${row.get('Entry ID')} has been deleted. Use /undo to restore it first.` };
+    }
+    if (row.get('Parent Entry')) {
+      return { success: false, error: `Entry ${row.get('Entry ID')} is already part of entry ${row.get('Parent Entry')} - split that one instead` };
+    }
+    if (row.get('Linked Entry') || row.get('Business Type') === INTERCOMPANY_INCOME) {
+      return { success: false, error: `Entry ${row.get('Entry ID')} is an intercompany item and can't be split` };
+    }
+    if (isPendingApproval(row)) {
+      return { success: false, error: `Entry ${row.get('Entry ID')} is waiting for approval - approve it before splitting` };
+    }
+    
+    const resolved = [];
+    for (const part of parts) {
+      const result = resolveSplitPart(part, normalizeEntity(row.get('Entity') || '') || 'scorp', row.get('Date'));
+      if (result.error) {
+        return { success: false, error: result.error };
+      }
+      resolved.push(result);
+    }
+    
+    const total = parseAmount(row.get('Amount'));
+    const allocation = allocateSplitAmounts(total, parts);
+    if (allocation.error) {
+      return { success: false, error: allocation.error };
+    }
+    allocation.amounts.forEach((amount, index) => {
+      resolved[index].amount = amount;
+    });
+    
+    const oldStatus = row.get('Status') || '';
+    const replaced = getSplitParts(entries, row.get('Entry ID'));
+    // Parts keep a review flag - the parent's, or on a re-split that of the parts being replaced
+    const flagged = [oldStatus, ...replaced.map(part => part.row.get('Status'))].includes(NEEDS_REVIEW_STATUS);
+    const voidAuditRows = replaced.map(part =>
+      buildAuditRow(actor, 'void-split', part.row.get('Entry ID'), { 'Status': part.row.get('Status') || '' }, { 'Status': VOIDED_STATUS })
+    );
+    for (const part of replaced) {
+      await updateEntryValues(doc, entries, part, { 'Status': VOIDED_STATUS });
+    }
+    
+    const existingIds = new Set(entries.map(existing => normalizeEntryId(existing.row.get('Entry ID'))).filter(Boolean));
+    const parentData = { ...row.toObject(), 'Logged At': new Date().toISOString() };
+    const partRows = buildSplitRows(parentData, resolved, existingIds, flagged ? NEEDS_REVIEW_STATUS : '');
+    
+    // The "split" audit row goes last so /undo finds it before the parts it added
+    await writeLedgerRows(doc, partRows, [
+      ...voidAuditRows,
+      ...partRows.map(data => buildAuditRow(actor, 'add-split', data['Entry ID'], null, data)),
+      buildAuditRow(actor, 'split', row.get('Entry ID'), { 'Status': oldStatus }, { 'Status': SPLIT_STATUS })
+    ]);
+    await updateEntryValues(doc, entries, entry, { 'Status': SPLIT_STATUS });
+    
+    const budgetWarnings = await checkBudgets(doc, entries, partRows);
+    
+    return {
+      success: true,
+      entryId: row.get('Entry ID'),
+      vendor: row.get('Vendor'),
+      amount: total,
+      replaced: replaced.length,
+      parts: partRows.map(data => ({
+        entryId: data['Entry ID'],
+        amount: data['Amount'],
+        category: data['Category'],
+        ledger: ledgerTabFor(data['Business Type'], data['Entity'])
+      })),
+      budgetWarnings: budgetWarnings.flat()
+    };
+  } catch (error) {
+    console.error('Error splitting entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+const DRAFTS_TITLE = 'Drafts';
+const DRAFT_HEADERS = ['Draft ID', 'Chat ID', 'Created At', 'Status', 'Message ID', 'Data', 'Items'];
+const DRAFT_TTL_DAYS = 7;
+// A statement import can hold hundreds of lines - more than the 50,000 characters Sheets allows in a
+// cell. These lists go one item per row in their own tab instead, keyed by draft ID. They're written
+// once when the draft is created; updateDraft only saves the rest.
+const DRAFT_ITEMS_TITLE = 'Draft Items';
+const DRAFT_ITEM_HEADERS = ['Draft ID', 'List', 'Data'];
+const DRAFT_LIST_FIELDS = ['expenses', 'failed', 'skipped'];
+
+function draftFields(data, lists) {
+  return Object.fromEntries(Object.entries(data).filter(([key]) => !lists.includes(key)));
+}
+
+// Store an unsaved expense so the inline buttons can find it on a later invocation
+async function createDraft(chatId, data) {
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, DRAFTS_TITLE, DRAFT_HEADERS);
+  const draftId = crypto.randomBytes(4).toString('hex').toUpperCase();
+  
+  const lists = DRAFT_LIST_FIELDS.filter(list => Array.isArray(data[list]) && data[list].length > 0);
+  const items = lists.flatMap(list => data[list].map(item => ({ 'Draft ID': draftId, 'List': list, 'Data': JSON.stringify(item) })));
+  if (items.length > 0) {
+    const itemSheet = await getSheetWithHeaders(doc, DRAFT_ITEMS_TITLE, DRAFT_ITEM_HEADERS);
+    await itemSheet.addRows(items);
+  }
+  
+  const row = await sheet.addRow({
+    'Draft ID': draftId,
+    'Chat ID': chatId,
+    'Created At': new Date().toISOString(),
+    'Status': 'open',
+    'Message ID': '',
+    'Data': JSON.stringify(draftFields(data, lists)),
+    'Items': lists.join(',')
+  });
+  
+  return { id: draftId, row, data };
+}
+
+async function loadDraft(draftId) {
+  const doc = await initStorage();
+  const sheet = doc.sheetsByTitle[DRAFTS_TITLE];
+  
+  if (!sheet) {
+    return null;
+  }
+  
+  const rows = await sheet.getRows();
+  const row = rows.find(draftRow => draftRow.get('Draft ID') === draftId);
+  
+  if (!row) {
+    return null;
+  }
+  
+  const ageInDays = (Date.now() - new Date(row.get('Created At')).getTime()) / MS_PER_DAY;
+  if (row.get('Status') === 'open' && ageInDays > DRAFT_TTL_DAYS) {
+    row.set('Status', 'expired');
+    await row.save();
+  }
+  
+  const data = JSON.parse(row.get('Data') || '{}');
+  const lists = (row.get('Items') || '').split(',').filter(Boolean);
+  if (lists.length > 0) {
+    lists.forEach(list => { data[list] = []; });
+    const itemSheet = doc.sheetsByTitle[DRAFT_ITEMS_TITLE];
+    const itemRows = itemSheet ? await itemSheet.getRows() : [];
+    itemRows.filter(itemRow => itemRow.get('Draft ID') === draftId && lists.includes(itemRow.get('List')))
+      .forEach(itemRow => data[itemRow.get('List')].push(JSON.parse(itemRow.get('Data'))));
+  }
+  
+  return { id: draftId, row, data };
+}
+
+async function updateDraft(draft, { status, messageId } = {}) {
+  const lists = (draft.row.get('Items') || '').split(',').filter(Boolean);
+  draft.row.set('Data', JSON.stringify(draftFields(draft.data, lists)));
+  if (status) {
+    draft.row.set('Status', status);
+  }
+  if (messageId) {
+    draft.row.set('Message ID', messageId);
+  }
+  await draft.row.save();
+}
+
+const DUPLICATES_TITLE = 'Duplicates';
+const DUPLICATE_HEADERS = ['Flagged At', 'Chat ID', 'Draft ID', 'Existing Entry', 'New Entry', 'Vendor', 'Amount', 'Date', 'Reason', 'Resolution'];
+const DUPLICATE_WINDOW_DAYS = 3;
+const VENDOR_SIMILARITY_THRESHOLD = 0.6;
+const MAX_DUPLICATE_CANDIDATES = 3;
+
+function hashReceipt(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// "STARBUCKS #1234", "Starbucks Coffee" and "SQ *STARBUCKS" should all end up comparable
+function normalizeVendor(vendor) {
+  return String(vendor || '')
+    .toLowerCase()
+    .replace(/\b(sq|tst|pos|the|inc|llc|co|corp|ltd|store|purchase|debit|card)\b/g, ' ')
+    .replace(/[^a-z]/g, '');
+}
+
+// 0..1 - containment counts as a full match, otherwise the Dice coefficient of letter pairs
+function vendorSimilarity(a, b) {
+  const x = normalizeVendor(a);
+  const y = normalizeVendor(b);
+
+  if (x.length < 3 || y.length < 3) {
+    return x && x === y ? 1 : 0;
+  }
+  if (x.includes(y) || y.includes(x)) {
+    return 1;
+  }
+
+  const pairs = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const pair = x.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const pair = y.slice(i, i + 2);
+    if (pairs.get(pair) > 0) {
+      pairs.set(pair, pairs.get(pair) - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (x.length + y.length - 2);
+}
+
+// Existing ledger rows that look like the same purchase as this expense. The same receipt image is
+// a certain match; otherwise the vendor has to be similar and the amount close (a typed "uber 23"
+// vs. the $23.45 receipt) within a few days of each other.
+function findDuplicateCandidates(entries, expenseData) {
+  const amount = parseAmount(expenseData.amount);
+  const date = expenseData.transactionDate;
+  const candidates = [];
+
+  entries.forEach(({ row }) => {
+    // Split parts are compared through their parent, which keeps the full amount and receipt
+    if (isVoided(row) || !row.get('Entry ID') || row.get('Business Type') === INTERCOMPANY_INCOME || row.get('Parent Entry')) {
+      return;
+    }
+
+    if (receiptHashes(row.get('Receipt Hash')).some(hash => receiptHashes(expenseData.receiptHash).includes(hash))) {
+      candidates.push({ row, score: 2, reason: 'same receipt image' });
+      return;
+    }
+
+    const rowDate = toISODate(row.get('Date'));
+    if (!rowDate || !date) {
+      return;
+    }
+    const days = daysBetween(rowDate, date);
+    const difference = Math.abs(parseAmount(row.get('Amount')) - amount);
+    const similarity = vendorSimilarity(row.get('Vendor'), expenseData.vendor);
+
+    if (days <= DUPLICATE_WINDOW_DAYS && similarity >= VENDOR_SIMILARITY_THRESHOLD && difference <= Math.max(1, amount * 0.05)) {
+      const amountNote = difference < 0.005 ? 'same amount' : `amount differs by $${difference.toFixed(2)}`;
+      const dayNote = days === 0 ? 'same day' : `${days} day${days === 1 ? '' : 's'} apart`;
+      candidates.push({ row, score: similarity - days / 10 - difference / 100, reason: `similar vendor, ${amountNote}, ${dayNote}` });
+    }
+  });
+
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DUPLICATE_CANDIDATES)
+    .map(({ row, reason }) => ({
+      entryId: row.get('Entry ID'),
+      date: row.get('Date'),
+      vendor: row.get('Vendor'),
+      amount: row.get('Amount'),
+      hasReceipt: !!row.get('Receipt URL'),
+      reason
+    }));
+}
+
+async function checkForDuplicates(expenseData) {
+  try {
+    const doc = await initStorage();
+    const entries = await getLedgerEntries(doc);
+    return findDuplicateCandidates(entries, expenseData);
+  } catch (error) {
+    // Not being able to check shouldn't stop the expense from being logged
+    console.error('Error checking for duplicates:', error);
+    return [];
+  }
+}
+
+// Keep a record of every flagged pair so /duplicates can show what happened to them
+async function flagDuplicates(chatId, draftId, expenseData, duplicates) {
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, DUPLICATES_TITLE, DUPLICATE_HEADERS);
+  const flaggedAt = new Date().toISOString();
+
+  await sheet.addRows(duplicates.map(duplicate => ({
+    'Flagged At': flaggedAt,
+    'Chat ID': chatId,
+    'Draft ID': draftId,
+    'Existing Entry': duplicate.entryId,
+    'New Entry': '',
+    'Vendor': expenseData.vendor,
+    'Amount': expenseData.amount,
+    'Date': expenseData.transactionDate,
+    'Reason': duplicate.reason,
+    'Resolution': 'open'
+  })));
+}
+
+async function resolveDuplicateFlags(draftId, resolution, newEntryId = '') {
+  const doc = await initStorage();
+  const sheet = doc.sheetsByTitle[DUPLICATES_TITLE];
+
+  if (!sheet) {
+    return;
+  }
+
+  const rows = await sheet.getRows();
+  for (const row of rows.filter(flagRow => flagRow.get('Draft ID') === draftId)) {
+    row.set('Resolution', resolution);
+    row.set('New Entry', newEntryId);
+    await row.save();
+  }
+}
+
+async function getDuplicateFlags(limit = 15) {
+  const doc = await initStorage();
+  const sheet = doc.sheetsByTitle[DUPLICATES_TITLE];
+
+  if (!sheet) {
+    return [];
+  }
+
+  const rows = await sheet.getRows();
+  return rows.slice(-limit).reverse().map(row => row.toObject());
+}
+
+// Attach a new receipt to an entry that was already logged instead of adding it twice
+async function mergeReceiptIntoEntry(entryId, expenseData, actor = {}) {
+  try {
+    const doc = await initStorage();
+    const entries = await prepareLedgerForWrite(doc);
+    const entry = findEntryById(entries, entryId);
+
+    if (!entry || isVoided(entry.row)) {
+      return { success: false, error: `Entry ${normalizeEntryId(entryId)} not found` };
+    }
+
+    const { row } = entry;
+    const existingUrl = row.get('Receipt URL') || '';
+    const newValues = {
+      'Receipt URL': existingUrl ? `${existingUrl} | ${expenseData.receiptPath}` : expenseData.receiptPath,
+      'Receipt Hash': expenseData.receiptHash || row.get('Receipt Hash') || ''
+    };
+    const oldValues = {
+      'Receipt URL': existingUrl,
+      'Receipt Hash': row.get('Receipt Hash') || ''
+    };
+
+    await updateEntryValues(doc, entries, entry, newValues);
+    await writeAuditLog(doc, actor, 'merge', row.get('Entry ID'), oldValues, newValues);
+
+    return { success: true, entryId: row.get('Entry ID'), ledger: entry.tab };
+  } catch (error) {
+    console.error('Error merging receipt:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Calculate YTD payments to son for a tax year (defaults to the current one)
+async function calculateYTDPayments(year = new Date().getFullYear()) {
+  try {
+    const doc = await initStorage();
+    const entries = await getLedgerEntries(doc);
+    let ytdTotal = 0;
+    
+    entries.forEach(({ row }) => {
+      const rowYear = new Date(row.get('Date')).getFullYear();
+      if (rowYear === year && row.get('Category') === 'Contract Labor' && isCounted(row)) {
+        ytdTotal += parseFloat(row.get('Amount')) || 0;
+      }
+    });
+    
+    return ytdTotal;
+  } catch (error) {
+    console.error('Error calculating YTD:', error);
+    return 0;
+  }
+}
+
+const MILEAGE_TITLE = 'Mileage';
+const MILEAGE_HEADERS = [
+  'Trip ID', 'Date', 'Purpose', 'Miles', 'Round Trip', 'Odometer Start', 'Odometer End',
+  'Rate', 'Amount', 'Tax Year', 'Chat ID', 'Logged At'
+];
+const MILEAGE_SANITY_LIMIT = 1000;
+const MILEAGE_USAGE = 'Usage:\n' +
+  '• /mileage 42 client site visit Austin\n' +
+  '• /mileage 21 round trip client site visit Austin\n' +
+  '• /mileage 12345-12387 client site visit Austin (odometer start-end)\n' +
+  'Add a date like "yesterday" or "3/14" anywhere in the purpose.';
+
+// "/mileage 42 purpose", "/mileage 21 rt purpose", "/mileage 12345-12387 purpose"
+function parseMileageArguments(args) {
+  let rest = args.trim().replace(/^odo(?:meter)?\s+/i, '');
+  const trip = { roundTrip: false, odometerStart: null, odometerEnd: null };
+  let match;
+  
+  if ((match = rest.match(/^(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)(?=\s|$)/i))) {
+    trip.odometerStart = parseFloat(match[1]);
+    trip.odometerEnd = parseFloat(match[2]);
+    if (trip.odometerEnd <= trip.odometerStart) {
+      return { error: `Odometer end (${match[2]}) must be higher than the start (${match[1]})` };
+    }
+    trip.miles = trip.odometerEnd - trip.odometerStart;
+  } else if ((match = rest.match(/^(\d+(?:\.\d+)?)\s*(?:mi|miles?)?(?=\s|$)/i))) {
+    trip.miles = parseFloat(match[1]);
+  } else {
+    return { error: `Start with the miles driven or the odometer readings.\n\n${MILEAGE_USAGE}` };
+  }
+  rest = rest.slice(match[0].length);
+  
+  const roundTripPattern = /\b(?:rt|round[\s-]?trip)\b/i;
+  if (roundTripPattern.test(rest)) {
+    trip.roundTrip = true;
+    trip.miles *= 2;
+    rest = rest.replace(roundTripPattern, ' ');
+  }
+  
+  trip.purpose = rest.replace(/\s+/g, ' ').trim();
+  if (!trip.purpose) {
+    return { error: 'Add the business purpose of the trip - the IRS requires it for every mileage entry' };
+  }
+  if (trip.miles <= 0 || trip.miles > MILEAGE_SANITY_LIMIT) {
+    return { error: `${trip.miles} miles doesn't look right for a single trip` };
+  }
+  
+  trip.miles = Math.round(trip.miles * 10) / 10;
+  return trip;
+}
+
+// Record a trip at the IRS standard rate for the year it was driven
+async function logMileage(trip, actor = {}) {
+  try {
+    const { date, warnings } = resolveTransactionDate(null, trip.purpose);
+    const rules = getTaxYearRules(parseInt(date.slice(0, 4)));
+    if (rules.estimated) {
+      warnings.push(`No ${rules.year} IRS mileage rate on file - using the ${rules.basedOn} rate`);
+    }
+    const amount = Math.round(trip.miles * rules.mileageRate * 100) / 100;
+    
+    const doc = await initStorage();
+    const sheet = await getSheetWithHeaders(doc, MILEAGE_TITLE, MILEAGE_HEADERS);
+    const rows = await sheet.getRows();
+    const tripId = generateEntryId(new Set(rows.map(row => normalizeEntryId(row.get('Trip ID'))).filter(Boolean)));
+    
+    await sheet.addRow({
+      'Trip ID': tripId,
+      'Date': date,
+      'Purpose': trip.purpose,
+      'Miles': trip.miles,
+      'Round Trip': trip.roundTrip ? 'yes' : '',
+      'Odometer Start': trip.odometerStart ?? '',
+      'Odometer End': trip.odometerEnd ?? '',
+      'Rate': rules.mileageRate,
+      'Amount': amount.toFixed(2),
+      'Tax Year': rules.year,
+      'Chat ID': actor.chatId || '',
+      'Logged At': new Date().toISOString()
+    });
+    
+    return { success: true, tripId, date, miles: trip.miles, rate: rules.mileageRate, amount, warnings };
+  } catch (error) {
+    console.error('Error logging mileage:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Miles and reimbursable amount for trips between two YYYY-MM-DD dates (inclusive)
+async function calculateMileageTotals(from, to) {
+  const totals = { miles: 0, amount: 0, trips: 0 };
+  
+  try {
+    const doc = await initStorage();
+    const sheet = doc.sheetsByTitle[MILEAGE_TITLE];
+    if (!sheet) {
+      return totals;
+    }
+    
+    const rows = await sheet.getRows();
+    rows.forEach(row => {
+      const date = toISODate(row.get('Date'));
+      if (date && date >= from && date <= to) {
+        totals.miles += parseAmount(row.get('Miles'));
+        totals.amount += parseAmount(row.get('Amount'));
+        totals.trips++;
+      }
+    });
+  } catch (error) {
+    console.error('Error calculating mileage:', error);
+  }
+  
+  return totals;
+}
+
+function formatMileageTotals(totals) {
+  return `${totals.miles.toFixed(1)} mi · $${totals.amount.toFixed(2)} reimbursable (${totals.trips} trip${totals.trips === 1 ? '' : 's'})`;
+}
+
+const RECURRING_TITLE = 'Recurring';
+const RECURRING_HEADERS = [
+  'Template ID', 'Vendor', 'Amount', 'Category', 'Entity', 'Business Type', 'Deductible %',
+  'Tax Notes', 'Description', 'Intercompany', 'Frequency', 'Day', 'Next Due', 'Last Posted',
+  'Chat ID', 'Created At', 'Status'
+];
+const RECURRING_MAX_CATCH_UP = 12;
+const RECURRING_POSTINGS_TITLE = 'Recurring Postings';
+const RECURRING_POSTING_HEADERS = ['Import ID', 'Claimed At', 'Status', 'Claim ID'];
+const RECURRING_CLAIM_STALE_MS = 15 * 60 * 1000;
+const RECURRING_USAGE = 'Usage:\n' +
+  '• /recurring add monthly 1 $1100 management fee to Family LLC\n' +
+  '• /recurring add monthly last Adobe Creative Cloud $59.99\n' +
+  '• /recurring add weekly friday $40 office cleaning\n' +
+  '• /recurring add yearly 3/14 $99 domain renewal\n' +
+  '• /recurring list\n' +
+  '• /recurring remove [ID]';
+
+// "monthly 1", "monthly last", "weekly friday", "yearly 3/14" at the start of the text; the day defaults to today's
+function parseRecurringSchedule(text, today = new Date()) {
+  const lower = text.trim().toLowerCase();
+  let match;
+  
+  if ((match = lower.match(/^monthly(?:\s+(?:on\s+)?(?:the\s+)?(?:(\d{1,2})(?:st|nd|rd|th)?|(last))(?![\d.,]))?/))) {
+    const day = match[2] ? 'last' : match[1] ? parseInt(match[1]) : today.getUTCDate();
+    if (day !== 'last' && (day < 1 || day > 31)) {
+      return { error: `${day} isn't a day of the month` };
+    }
+    return { frequency: 'monthly', day: String(day), rest: text.trim().slice(match[0].length) };
+  }
+  
+  if ((match = lower.match(/^weekly(?:\s+(?:on\s+)?(sun|mon|tue|wed|thu|fri|sat)[a-z]*)?/))) {
+    const day = match[1]
+      ? WEEKDAY_NAMES.find(name => name.startsWith(match[1]))
+      : WEEKDAY_NAMES[today.getUTCDay()];
+    return { frequency: 'weekly', day, rest: text.trim().slice(match[0].length) };
+  }
+  
+  if ((match = lower.match(/^(?:yearly|annually)(?:\s+(?:on\s+)?(\d{1,2})\/(\d{1,2})(?!\d))?/))) {
+    const month = match[1] ? parseInt(match[1]) : today.getUTCMonth() + 1;
+    const day = match[2] ? parseInt(match[2]) : today.getUTCDate();
+    if (!buildDate(2024, month, day)) {
+      return { error: `${month}/${day} isn't a valid date` };
+    }
+    return { frequency: 'yearly', day: `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`, rest: text.trim().slice(match[0].length) };
+  }
+  
+  return { error: `Start with how often it repeats - monthly, weekly or yearly.\n\n${RECURRING_USAGE}` };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// First due date strictly after `after` (YYYY-MM-DD). Monthly days past the end of a short month
+// fall on its last day; a yearly Feb 29 falls on Feb 28 outside leap years.
+function nextRecurringDate(frequency, day, after) {
+  const afterDate = new Date(`${after}T00:00:00Z`);
+  const year = afterDate.getUTCFullYear();
+  const month = afterDate.getUTCMonth() + 1;
+  
+  if (frequency === 'weekly') {
+    const diff = (WEEKDAY_NAMES.indexOf(day) - afterDate.getUTCDay() + 7) % 7 || 7;
+    return formatDate(new Date(afterDate.getTime() + diff * MS_PER_DAY));
+  }
+  
+  if (frequency === 'monthly') {
+    const onDay = (y, m) => formatDate(new Date(Date.UTC(y, m - 1, day === 'last' ? daysInMonth(y, m) : Math.min(parseInt(day), daysInMonth(y, m)))));
+    const thisMonth = onDay(year, month);
+    return thisMonth > after ? thisMonth : onDay(month === 12 ? year + 1 : year, month === 12 ? 1 : month + 1);
+  }
+  
+  const [dueMonth, dueDay] = day.split('-').map(Number);
+  const onDay = (y) => formatDate(new Date(Date.UTC(y, dueMonth - 1, Math.min(dueDay, daysInMonth(y, dueMonth)))));
+  return onDay(year) > after ? onDay(year) : onDay(year + 1);
+}
+
+function describeSchedule(frequency, day) {
+  if (frequency === 'weekly') {
+    return `every ${day.charAt(0).toUpperCase()}${day.slice(1)}`;
+  }
+  if (frequency === 'monthly') {
+    return day === 'last' ? 'on the last day of every month' : `on day ${day} of every month`;
+  }
+  const [month, dayOfMonth] = day.split('-').map(Number);
+  return `every year on ${MONTH_NAMES[month - 1].charAt(0).toUpperCase()}${MONTH_NAMES[month - 1].slice(1)} ${dayOfMonth}`;
+}
+
+// Categorize the template text the same way as a typed expense, then store it with its schedule
+async function addRecurringTemplate(chatId, text) {
+  const schedule = parseRecurringSchedule(text);
+  if (schedule.error) {
+    return { success: false, error: schedule.error };
+  }
+  if (!schedule.rest.trim()) {
+    return { success: false, error: `Describe the expense after the schedule.\n\n${RECURRING_USAGE}` };
+  }
+  
+  const expenseData = await categorizeExpense(schedule.rest);
+  if (!expenseData || !(parseFloat(expenseData.amount) > 0)) {
+    return { success: false, error: 'Could not work out the amount and category - include the amount, e.g. "$59.99"' };
+  }
+  
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, RECURRING_TITLE, RECURRING_HEADERS);
+  const rows = await sheet.getRows();
+  const templateId = generateEntryId(new Set(rows.map(row => normalizeEntryId(row.get('Template ID'))).filter(Boolean)));
+  const nextDue = nextRecurringDate(schedule.frequency, schedule.day, formatDate(new Date()));
+  
+  const template = {
+    'Template ID': templateId,
+    'Vendor': expenseData.vendor,
+    'Amount': expenseData.amount,
+    'Category': expenseData.category,
+    'Entity': expenseData.entityType,
+    'Business Type': expenseData.businessType,
+    'Deductible %': expenseData.deductibilityPercentage,
+    'Tax Notes': expenseData.taxNotes,
+    'Description': expenseData.suggestedDescription,
+    'Intercompany': expenseData.intercompany ? 'yes' : '',
+    'Frequency': schedule.frequency,
+    'Day': schedule.day,
+    'Next Due': nextDue,
+    'Last Posted': '',
+    'Chat ID': chatId,
+    'Created At': new Date().toISOString(),
+    'Status': 'active'
+  };
+  await sheet.addRow(template);
+  
+  return { success: true, template };
+}
+
+async function getRecurringTemplates() {
+  const doc = await initStorage();
+  const sheet = doc.sheetsByTitle[RECURRING_TITLE];
+  
+  if (!sheet) {
+    return [];
+  }
+  
+  const rows = await sheet.getRows();
+  return rows.filter(row => row.get('Status') === 'active');
+}
+
+// Templates are never deleted, only switched off, so the tab keeps a history of what was posted
+async function removeRecurringTemplate(templateId) {
+  const templates = await getRecurringTemplates();
+  const row = templates.find(template => normalizeEntryId(template.get('Template ID')) === normalizeEntryId(templateId));
+  
+  if (!row) {
+    return { success: false, error: `No active recurring expense ${normalizeEntryId(templateId)}. Use /recurring list to see them.` };
+  }
+  
+  row.set('Status', 'removed');
+  await row.save();
+  return { success: true, template: row.toObject() };
+}
+
+function expenseFromTemplate(row, dueDate) {
+  const expenseData = {
+    amount: row.get('Amount'),
+    vendor: row.get('Vendor'),
+    category: row.get('Category'),
+    businessType: row.get('Business Type'),
+    entityType: row.get('Entity'),
+    deductibilityPercentage: parseFloat(row.get('Deductible %')) || 0,
+    taxNotes: row.get('Tax Notes') || '',
+    suggestedDescription: `${row.get('Description') || row.get('Vendor')} (recurring)`,
+    workDescription: '',
+    intercompany: row.get('Intercompany') === 'yes',
+    transactionDate: dueDate,
+    // Stable key per template and due date - a second run finds it in the ledger and skips it
+    importId: `recurring-${row.get('Template ID')}-${dueDate}`
+  };
+  expenseData.warnings = applyTaxYearRules(expenseData);
+  expenseData.taxDeductible = expenseData.deductibilityPercentage > 0;
+  return expenseData;
+}
+
+// Post every template that has come due (catching up on missed runs) and move it to its next date.
+// Safe to run more than once a day: each posting carries an Import ID that is checked first.
+// A posting blocks other runs once it's in the ledger or while it may still be going in. One left at
+// "claimed" past the function's time limit died part way; the ledger check catches it if it got written.
+function isLiveRecurringClaim(row) {
+  const status = row.get('Status');
+  const claimedAt = new Date(row.get('Claimed At')).getTime();
+  return status === 'posted' || (status === 'claimed' && Date.now() - claimedAt < RECURRING_CLAIM_STALE_MS);
+}
+
+// Overlapping runs read the ledger before either writes, so each due date is claimed before it's posted
+async function claimRecurringPosting(doc, importId) {
+  const sheet = await getSheetWithHeaders(doc, RECURRING_POSTINGS_TITLE, RECURRING_POSTING_HEADERS);
+  return appendClaim(sheet, 'Import ID', {
+    'Import ID': importId,
+    'Claimed At': new Date().toISOString(),
+    'Status': 'claimed'
+  }, isLiveRecurringClaim);
+}
+
+async function postDueRecurringExpenses(today = formatDate(new Date())) {
+  const templates = (await getRecurringTemplates()).filter(row => row.get('Next Due') && row.get('Next Due') <= today);
+  const posted = [];
+  
+  if (templates.length === 0) {
+    return { posted };
+  }
+  
+  const doc = await initStorage();
+  const entries = await getLedgerEntries(doc);
+  const alreadyPosted = new Set(entries.map(entry => entry.row.get('Import ID')).filter(Boolean));
+  
+  for (const row of templates) {
+    const chatId = row.get('Chat ID');
+    let dueDate = row.get('Next Due');
+    
+    for (let count = 0; dueDate <= today && count < RECURRING_MAX_CATCH_UP; count++) {
+      const expenseData = expenseFromTemplate(row, dueDate);
+      
+      if (!alreadyPosted.has(expenseData.importId)) {
+        const claim = await claimRecurringPosting(doc, expenseData.importId);
+        if (!claim.won) {
+          // Another run is posting this date and will move Next Due on itself
+          console.log(`Recurring ${row.get('Template ID')} for ${dueDate} is already being posted - skipping`);
+          claim.row.set('Status', 'duplicate');
+          await claim.row.save();
+          break;
+        }
+        
+        const result = await addExpenseToSheet(expenseData, { chatId, user: 'recurring' });
+        claim.row.set('Status', result.success ? 'posted' : 'failed');
+        await claim.row.save();
+        if (!result.success) {
+          // Leave Next Due where it is so the next run tries again
+          console.error(`Error posting recurring ${row.get('Template ID')} for ${dueDate}:`, result.error);
+          break;
+        }
+        alreadyPosted.add(expenseData.importId);
+        posted.push({ templateId: row.get('Template ID'), dueDate, entryId: result.entryId });
+        
+        await sendTelegramMessage(chatId, formatExpenseMessage('🔁 <b>Recurring Expense Posted</b>', { expense: expenseData }, result) +
+          `\n\n💡 Use /delete ${result.entryId} if it didn't happen this time, or /recurring remove ${row.get('Template ID')} to stop it`);
+        await checkContractLaborLimit(chatId, expenseData);
+      }
+      
+      row.set('Last Posted', dueDate);
+      dueDate = nextRecurringDate(row.get('Frequency'), row.get('Day'), dueDate);
+      row.set('Next Due', dueDate);
+      await row.save();
+    }
+  }
+  
+  return { posted };
+}
+
+const BUDGETS_TITLE = 'Budgets';
+const BUDGET_HEADERS = ['Entity', 'Category', 'Amount', 'Period', 'Updated At', 'Chat ID'];
+const BUDGET_PERIODS = {
+  month: 'month', monthly: 'month',
+  quarter: 'quarter', quarterly: 'quarter',
+  year: 'year', yearly: 'year', annual: 'year', annually: 'year'
+};
+const BUDGET_ALERT_LEVELS = [0.75, 1];
+const BUDGET_USAGE = 'Usage:\n' +
+  '• /budget set meals 400 month\n' +
+  '• /budget set software 2000 quarter\n' +
+  '• /budget set supplies 500 year llc\n' +
+  '• /budget set meals 0 month - removes the budget\n' +
+  '• /budget status';
+
+// The report period that contains a YYYY-MM-DD date, e.g. Q2 2025 for 2025-05-10
+function budgetWindow(period, date) {
+  return period === 'year'
+    ? parseReportPeriod(date.slice(0, 4))
+    : parseReportPeriod(period, new Date(`${date}T00:00:00Z`));
+}
+
+// Match "meals" to Business Meals, "software" to Equipment/Software, etc. within an entity's list
+function matchBudgetCategory(text, entity) {
+  const wanted = text.trim().toLowerCase();
+  const lists = entity === 'personal' ? { personal: ['Personal Expenses'] }
+    : entity ? { [entity]: EXPENSE_CATEGORIES[entity] }
+    : EXPENSE_CATEGORIES;
+  const matches = [];
+  
+  Object.entries(lists).forEach(([listEntity, categories]) => {
+    categories.forEach(category => {
+      const lower = category.toLowerCase();
+      if (lower === wanted || lower.startsWith(wanted) || lower.split(/[\s/]+/).includes(wanted)) {
+        const matchEntity = category === 'Personal Expenses' ? 'personal' : listEntity;
+        matches.push({ category, entity: matchEntity });
+      }
+    });
+  });
+  
+  return matches;
+}
+
+// "/budget set <category> <amount> <period> [entity]"
+function parseBudgetArguments(args) {
+  const tokens = args.trim().split(/\s+/).filter(Boolean);
+  let entity = null;
+  
+  const lastToken = (tokens[tokens.length - 1] || '').toLowerCase();
+  if (lastToken === 'personal' || normalizeEntity(lastToken)) {
+    entity = lastToken === 'personal' ? 'personal' : normalizeEntity(lastToken);
+    tokens.pop();
+  }
+  
+  const period = BUDGET_PERIODS[(tokens.pop() || '').toLowerCase()];
+  const amountText = tokens.pop() || '';
+  const amount = parseAmount(amountText);
+  const categoryText = tokens.join(' ');
+  
+  if (!period || !/\d/.test(amountText) || amount < 0 || !categoryText) {
+    return { error: BUDGET_USAGE };
+  }
+  
+  const matches = matchBudgetCategory(categoryText, entity);
+  if (matches.length === 0) {
+    return { error: `No category matches "${categoryText}". Categories: ${[...new Set(Object.values(EXPENSE_CATEGORIES).flat())].join(', ')}` };
+  }
+  if (matches.length > 1) {
+    return { error: `"${categoryText}" could be ${matches.map(match => `${match.category} (${ENTITY_LABELS[match.entity]})`).join(' or ')} - use the full name or add the entity` };
+  }
+  
+  return { ...matches[0], amount, period };
+}
+
+async function getBudgets(doc) {
+  const sheet = doc.sheetsByTitle[BUDGETS_TITLE];
+  
+  if (!sheet) {
+    return [];
+  }
+  
+  const rows = await sheet.getRows();
+  return rows.map(row => ({
+    row,
+    entity: row.get('Entity'),
+    category: row.get('Category'),
+    amount: parseAmount(row.get('Amount')),
+    period: row.get('Period')
+  })).filter(budget => budget.amount > 0 && budget.period);
+}
+
+// One budget per entity and category - setting it again replaces it, setting 0 removes it
+async function setBudget(budget, actor = {}) {
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, BUDGETS_TITLE, BUDGET_HEADERS);
+  const rows = await sheet.getRows();
+  const existing = rows.find(row => row.get('Entity') === budget.entity && row.get('Category') === budget.category);
+  
+  if (budget.amount === 0) {
+    if (existing) {
+      await existing.delete();
+    }
+    return { removed: !!existing };
+  }
+  
+  const values = {
+    'Entity': budget.entity,
+    'Category': budget.category,
+    'Amount': budget.amount,
+    'Period': budget.period,
+    'Updated At': new Date().toISOString(),
+    'Chat ID': actor.chatId || ''
+  };
+  
+  if (existing) {
+    existing.assign(values);
+    await existing.save();
+  } else {
+    await sheet.addRow(values);
+  }
+  return { removed: false };
+}
+
+function budgetSpend(entries, budget, date) {
+  const window = budgetWindow(budget.period, date);
+  const spent = selectExpenseRows(entries, window.from, window.to)
+    .filter(row => row.get('Category') === budget.category && reportEntityKey(row) === budget.entity)
+    .reduce((sum, row) => sum + parseAmount(row.get('Amount')), 0);
+  
+  return { spent, window };
+}
+
+function budgetWarningText(budget, spent, window) {
+  const percent = Math.round(spent / budget.amount * 100);
+  const figures = `$${spent.toFixed(2)} of $${budget.amount.toFixed(2)} for ${window.label}`;
+  return spent >= budget.amount
+    ? `Over the ${budget.category} budget: ${figures} (${percent}%)`
+    : `${percent}% of the ${budget.category} budget used: ${figures}`;
+}
+
+// Warnings for each newly written row whose category budget is now past 75% or 100%.
+// Rows in the same batch count towards each other, in order.
+async function checkBudgets(doc, entries, newRows) {
+  try {
+    const budgets = await getBudgets(doc);
+    if (budgets.length === 0) {
+      return newRows.map(() => []);
+    }
+    
+    const combined = [...entries];
+    return newRows.map(data => {
+      const row = { get: column => data[column] };
+      combined.push({ row });
+      
+      const budget = budgets.find(candidate => candidate.category === data['Category'] && candidate.entity === reportEntityKey(row));
+      if (!budget) {
+        return [];
+      }
+      
+      const { spent, window } = budgetSpend(combined, budget, data['Date']);
+      if (spent < budget.amount * BUDGET_ALERT_LEVELS[0]) {
+        return [];
+      }
+      return [{ budget: `${budget.entity}:${budget.category}`, text: budgetWarningText(budget, spent, window) }];
+    });
+  } catch (error) {
+    // The expense is already saved - a budget lookup failing shouldn't turn that into an error
+    console.error('Error checking budgets:', error);
+    return newRows.map(() => []);
+  }
+}
+
+async function getBudgetStatus(today = formatDate(new Date())) {
+  const doc = await initStorage();
+  const budgets = await getBudgets(doc);
+  
+  if (budgets.length === 0) {
+    return [];
+  }
+  
+  const entries = await getLedgerEntries(doc);
+  return budgets.map(budget => ({ ...budget, ...budgetSpend(entries, budget, today) }));
+}
+
+function parseAmount(value) {
+  return parseFloat(String(value || '').replace(/[$,\s]/g, '')) || 0;
+}
+
+// Sheet dates are normally YYYY-MM-DD, but hand-entered rows can hold anything Sheets accepts
+function toISODate(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : formatDate(new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate())));
+}
+
+// Turn "/report" arguments into a date range: month, quarter, ytd, 2025-03, 2025-Q2, 2024, or two dates
+function parseReportPeriod(args, today = new Date()) {
+  const input = (args || 'month').trim().toLowerCase();
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth() + 1;
+  const lastDay = (y, m) => formatDate(new Date(Date.UTC(y, m, 0)));
+  const pad = (n) => String(n).padStart(2, '0');
+  const monthLabel = (y, m) => new Date(Date.UTC(y, m - 1, 1)).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  let match;
+  
+  if (input === 'month') {
+    return { from: `${year}-${pad(month)}-01`, to: lastDay(year, month), label: monthLabel(year, month) };
+  }
+  if (input === 'quarter') {
+    const quarter = Math.ceil(month / 3);
+    return { from: `${year}-${pad(quarter * 3 - 2)}-01`, to: lastDay(year, quarter * 3), label: `Q${quarter} ${year}` };
+  }
+  if (input === 'ytd') {
+    return { from: `${year}-01-01`, to: formatDate(today), label: `${year} YTD` };
+  }
+  if ((match = input.match(/^(\d{4})-(\d{1,2})$/)) && +match[2] >= 1 && +match[2] <= 12) {
+    return { from: `${match[1]}-${pad(+match[2])}-01`, to: lastDay(+match[1], +match[2]), label: monthLabel(+match[1], +match[2]) };
+  }
+  if ((match = input.match(/^(\d{4})-?q([1-4])$/))) {
+    const quarter = +match[2];
+    return { from: `${match[1]}-${pad(quarter * 3 - 2)}-01`, to: lastDay(+match[1], quarter * 3), label: `Q${quarter} ${match[1]}` };
+  }
+  if ((match = input.match(/^(\d{4})$/))) {
+    return { from: `${match[1]}-01-01`, to: `${match[1]}-12-31`, label: match[1] };
+  }
+  if ((match = input.match(/^(\d{4}-\d{2}-\d{2})\s*(?:\.\.|to|\s)\s*(\d{4}-\d{2}-\d{2})$/))) {
+    const [, from, to] = match;
+    if (!isValidISODate(from) || !isValidISODate(to) || from > to) {
+      return { error: `"${input}" is not a valid date range` };
+    }
+    return { from, to, label: `${from} to ${to}` };
+  }
+  
+  return { error: `Unknown period "${input}". Try month, quarter, ytd, 2025-03, 2025-Q2, 2024 or 2025-01-01 2025-03-31` };
+}
+
+// Which bucket an entry reports under: the entity, or personal
+function reportEntityKey(row) {
+  if (row.get('Business Type') === 'personal') {
+    return 'personal';
+  }
+  return row.get('Entity') === 'family_llc' ? 'family_llc' : 'scorp';
+}
+
+// Active expense rows in a date range. Intercompany income rows aren't spending and are left out.
+function selectExpenseRows(entries, from, to) {
+  return entries
+    .map(entry => entry.row)
+    .filter(row => {
+      const date = toISODate(row.get('Date'));
+      return isCounted(row) && row.get('Business Type') !== INTERCOMPANY_INCOME && date && date >= from && date <= to;
+    });
+}
+
+function summarizeRows(rows) {
+  const emptyTotals = () => ({ gross: 0, deductible: 0, count: 0 });
+  const summary = { ...emptyTotals(), byCategory: {}, byEntity: {} };
+  
+  rows.forEach(row => {
+    const amount = parseAmount(row.get('Amount'));
+    const deductible = amount * parseAmount(row.get('Deductible %')) / 100;
+    const category = row.get('Category') || 'Uncategorized';
+    const entity = reportEntityKey(row);
+    
+    [summary, summary.byCategory[category] ||= emptyTotals(), summary.byEntity[entity] ||= emptyTotals()].forEach(totals => {
+      totals.gross += amount;
+      totals.deductible += deductible;
+      totals.count += 1;
+    });
+  });
+  
+  return summary;
+}
+
+function csvEscape(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+function buildReportCsv(rows) {
+  const header = ['Entry ID', 'Date', 'Vendor', 'Category', 'Entity', 'Business Type', 'Amount', 'Deductible %', 'Deductible Amount', 'Description', 'Receipt URL', 'Original Amount', 'Currency'];
+  const lines = rows.map(row => {
+    const amount = parseAmount(row.get('Amount'));
+    const percentage = parseAmount(row.get('Deductible %'));
+    return [
+      row.get('Entry ID'), toISODate(row.get('Date')), row.get('Vendor'), row.get('Category'),
+      reportEntityKey(row), row.get('Business Type'), amount.toFixed(2), percentage,
+      (amount * percentage / 100).toFixed(2), row.get('Description'), row.get('Receipt URL'),
+      row.get('Original Amount') || amount.toFixed(2), row.get('Currency') || 'USD'
+    ];
+  });
+  return toCsv([header, ...lines]);
+}
+
+// Totals by category and entity for a period, plus the rows behind them as CSV
+async function generateReport(period) {
+  try {
+    const doc = await initStorage();
+    const entries = await getLedgerEntries(doc);
+    const rows = selectExpenseRows(entries, period.from, period.to)
+      .sort((a, b) => toISODate(a.get('Date')).localeCompare(toISODate(b.get('Date'))));
+    
+    const mileage = await calculateMileageTotals(period.from, period.to);
+    
+    return { success: true, period, summary: summarizeRows(rows), mileage, csv: buildReportCsv(rows) };
+  } catch (error) {
+    console.error('Error generating report:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+const ENTITY_LABELS = { scorp: LEDGER_TABS.scorp, family_llc: LEDGER_TABS.family_llc, personal: LEDGER_TABS.personal };
+
+function formatReportMessage(report) {
+  const { period, summary, mileage } = report;
+  const money = (value) => `$${value.toFixed(2)}`;
+  const line = (name, totals) => `• ${escapeHtml(name)}: ${money(totals.gross)} · ${money(totals.deductible)} deductible (${totals.count})\n`;
+  
+  let response = `📊 <b>Report: ${period.label}</b>\n${period.from} → ${period.to}\n\n` +
+    `💵 Gross spend: ${money(summary.gross)} (${summary.count} expenses)\n` +
+    `🧾 Deductible: ${money(summary.deductible)}\n`;
+  
+  if (mileage && mileage.trips > 0) {
+    response += `🚗 Mileage: ${formatMileageTotals(mileage)}\n`;
+  }
+  
+  if (summary.count === 0) {
+    return response + '\nNo expenses in this period.';
+  }
+  
+  response += `\n<b>By category:</b>\n`;
+  Object.entries(summary.byCategory)
+    .sort(([, a], [, b]) => b.gross - a.gross)
+    .forEach(([category, totals]) => {
+      response += line(category, totals);
+    });
+  
+  response += `\n<b>By entity:</b>\n`;
+  Object.entries(summary.byEntity).forEach(([entity, totals]) => {
+    response += line(ENTITY_LABELS[entity] || entity, totals);
+  });
+  
+  return response;
+}
+
+// Chart-of-accounts names and tax-form lines per category. Override any part with ACCOUNT_MAP_JSON.
+// form1120S is the S-Corp return line, scheduleC the Family LLC's.
+const DEFAULT_ACCOUNT_MAP = {
+  'Business Meals': { account: 'Meals', form1120S: '20 Other deductions (meals)', scheduleC: '24b Deductible meals' },
+  'Office Supplies': { account: 'Office Supplies', form1120S: '20 Other deductions (office)', scheduleC: '18 Office expense' },
+  'Professional Services': { account: 'Legal & Professional Services', form1120S: '20 Other deductions (professional)', scheduleC: '17 Legal and professional services' },
+  'Travel Expenses': { account: 'Travel', form1120S: '20 Other deductions (travel)', scheduleC: '24a Travel' },
+  'Equipment/Software': { account: 'Software & Equipment', form1120S: '20 Other deductions (equipment)', scheduleC: '22 Supplies' },
+  'Marketing/Advertising': { account: 'Advertising & Marketing', form1120S: '16 Advertising', scheduleC: '8 Advertising' },
+  'Training/Education': { account: 'Training & Education', form1120S: '20 Other deductions (education)', scheduleC: '27a Other expenses' },
+  'Vehicle Expenses': { account: 'Car & Truck', form1120S: '20 Other deductions (auto)', scheduleC: '9 Car and truck expenses' },
+  'Contract Labor': { account: 'Contract Labor', form1120S: '20 Other deductions (contract labor)', scheduleC: '11 Contract labor' },
+  'Management Services': { account: 'Management Fees', form1120S: '20 Other deductions (management)', scheduleC: '27a Other expenses' },
+  'Equipment/Supplies': { account: 'Supplies', form1120S: '20 Other deductions (supplies)', scheduleC: '22 Supplies' },
+  'Personal Expenses': { account: 'Owner Draws', form1120S: 'Not deductible', scheduleC: 'Not deductible' }
+};
+
+const EXPORT_FORMATS = ['qbo', 'iif', 'xero', 'lines'];
+
+function getAccountMap() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(ACCOUNT_MAP_JSON || '{}');
+  } catch (error) {
+    console.error('ACCOUNT_MAP_JSON is not valid JSON - using the default account map');
+  }
+  
+  const map = {};
+  new Set([...Object.keys(DEFAULT_ACCOUNT_MAP), ...Object.keys(overrides)]).forEach(category => {
+    map[category] = { ...DEFAULT_ACCOUNT_MAP[category], ...overrides[category] };
+  });
+  return map;
+}
+
+function accountFor(accountMap, row) {
+  const mapping = accountMap[row.get('Category')] || { account: 'Uncategorized Expense', form1120S: '20 Other deductions', scheduleC: '27a Other expenses' };
+  const taxLine = reportEntityKey(row) === 'family_llc' ? `Schedule C ${mapping.scheduleC}` : `1120-S ${mapping.form1120S}`;
+  return { account: mapping.account, taxLine };
+}
+
+// MM/DD/YYYY - what QuickBooks and US Xero orgs expect
+function toUSDate(isoDate) {
+  const [year, month, day] = isoDate.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+function exportMemo(row) {
+  const currency = row.get('Currency');
+  const original = currency && currency !== 'USD' ? `(${row.get('Original Amount')} ${currency} @ ${row.get('Exchange Rate')})` : '';
+  return [row.get('Description'), original, row.get('Entry ID') && `#${row.get('Entry ID')}`].filter(Boolean).join(' ');
+}
+
+function buildQuickBooksCsv(rows, accountMap) {
+  const lines = rows.map(row => {
+    const { account, taxLine } = accountFor(accountMap, row);
+    return [toUSDate(toISODate(row.get('Date'))), `${row.get('Vendor')} - ${exportMemo(row)}`, (-parseAmount(row.get('Amount'))).toFixed(2), account, taxLine];
+  });
+  return toCsv([['Date', 'Description', 'Amount', 'Account', 'Tax Line'], ...lines]);
+}
+
+function buildXeroCsv(rows, accountMap) {
+  const lines = rows.map(row => {
+    const { account, taxLine } = accountFor(accountMap, row);
+    return [toUSDate(toISODate(row.get('Date'))), (-parseAmount(row.get('Amount'))).toFixed(2), row.get('Vendor'), exportMemo(row), row.get('Entry ID'), account, taxLine];
+  });
+  return toCsv([['*Date', '*Amount', 'Payee', 'Description', 'Reference', 'Account', 'Tax Line'], ...lines]);
+}
+
+// QuickBooks Desktop IIF: one check per expense, paid from the bank account, split to the expense account
+function buildIif(rows, accountMap) {
+  const clean = (value) => String(value || '').replace(/[\t\r\n]+/g, ' ');
+  const lines = [
+    ['!TRNS', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'MEMO'],
+    ['!SPL', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'MEMO'],
+    ['!ENDTRNS']
+  ];
+  
+  rows.forEach(row => {
+    const { account } = accountFor(accountMap, row);
+    const date = toUSDate(toISODate(row.get('Date')));
+    const amount = parseAmount(row.get('Amount')).toFixed(2);
+    lines.push(['TRNS', 'CHECK', date, EXPORT_BANK_ACCOUNT, clean(row.get('Vendor')), `-${amount}`, clean(exportMemo(row))]);
+    lines.push(['SPL', 'CHECK', date, account, clean(row.get('Vendor')), amount, clean(exportMemo(row))]);
+    lines.push(['ENDTRNS']);
+  });
+  
+  return lines.map(line => line.join('\t')).join('\r\n') + '\r\n';
+}
+
+// Totals per tax-form line - the worksheet the accountant fills the return from
+function buildTaxLineCsv(rows, accountMap) {
+  const totals = {};
+  rows.forEach(row => {
+    const { account, taxLine } = accountFor(accountMap, row);
+    const key = `${taxLine}|${account}|${row.get('Category')}`;
+    const amount = parseAmount(row.get('Amount'));
+    totals[key] ||= { taxLine, account, category: row.get('Category'), gross: 0, deductible: 0, count: 0 };
+    totals[key].gross += amount;
+    totals[key].deductible += amount * parseAmount(row.get('Deductible %')) / 100;
+    totals[key].count += 1;
+  });
+  
+  const lines = Object.values(totals)
+    .sort((a, b) => a.taxLine.localeCompare(b.taxLine))
+    .map(total => [total.taxLine, total.account, total.category, total.gross.toFixed(2), total.deductible.toFixed(2), total.count]);
+  return toCsv([['Tax Line', 'Account', 'Category', 'Gross', 'Deductible', 'Count'], ...lines]);
+}
+
+// Build an accountant export from the same rows /report totals. Personal rows are left out
+// unless asked for, since they don't belong in either entity's books.
+async function generateExport(format, period, entity = null) {
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      return { success: false, error: `Unknown export format "${format}". Use ${EXPORT_FORMATS.join(', ')}` };
+    }
+    
+    const doc = await initStorage();
+    const entries = await getLedgerEntries(doc);
+    const rows = selectExpenseRows(entries, period.from, period.to)
+      .filter(row => (entity ? reportEntityKey(row) === entity : reportEntityKey(row) !== 'personal'))
+      .sort((a, b) => toISODate(a.get('Date')).localeCompare(toISODate(b.get('Date'))));
+    
+    const accountMap = getAccountMap();
+    const builders = { qbo: buildQuickBooksCsv, xero: buildXeroCsv, iif: buildIif, lines: buildTaxLineCsv };
+    const extension = format === 'iif' ? 'iif' : 'csv';
+    
+    return {
+      success: true,
+      fileName: `${format}-export-${entity || 'business'}-${period.from}-to-${period.to}.${extension}`,
+      mimeType: format === 'iif' ? 'application/octet-stream' : 'text/csv',
+      content: builders[format](rows, accountMap),
+      summary: summarizeRows(rows)
+    };
+  } catch (error) {
+    console.error('Error generating export:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// "/export qbo ytd scorp" -> format, period and optional entity, in any order after the format
+function parseExportArguments(args) {
+  const parts = (args || '').trim().split(/\s+/).filter(Boolean);
+  const format = (parts.shift() || '').toLowerCase();
+  let entity = null;
+  
+  const periodParts = parts.filter(part => {
+    const normalized = part.toLowerCase() === 'personal' ? 'personal' : normalizeEntity(part);
+    if (normalized) {
+      entity = normalized;
+      return false;
+    }
+    return true;
+  });
+  
+  return { format, entity, period: parseReportPeriod(periodParts.join(' ') || 'ytd') };
+}
+
+// Warn when a new contract-labor payment pushes the son past 80% or 100% of that year's limit
+async function checkContractLaborLimit(chatId, expenseData) {
+  if (expenseData.category !== 'Contract Labor' || expenseData.businessType === 'personal') {
+    return;
+  }
+  
+  const year = parseInt((expenseData.transactionDate || '').slice(0, 4)) || new Date().getFullYear();
+  const rules = getTaxYearRules(year);
+  const total = await calculateYTDPayments(year);
+  const previous = total - (parseFloat(expenseData.amount) || 0);
+  const crossed = CONTRACT_LABOR_ALERT_LEVELS.filter(level =>
+    previous < rules.standardDeduction * level && total >= rules.standardDeduction * level
+  ).pop();
+  
+  if (!crossed) {
+    return;
+  }
+  
+  const heading = crossed >= 1
+    ? `🚨 <b>Son's ${year} payments are over the standard deduction!</b>`
+    : `⚠️ <b>Son's ${year} payments passed ${Math.round(crossed * 100)}% of the standard deduction</b>`;
+  
+  await sendTelegramMessage(chatId,
+    `${heading}\n` +
+    `Paid: $${total.toFixed(2)} of $${rules.standardDeduction}\n` +
+    (total > rules.standardDeduction
+      ? `Over by: $${(total - rules.standardDeduction).toFixed(2)}`
+      : `Remaining: $${(rules.standardDeduction - total).toFixed(2)}`)
+  );
+}
+
+// Download a file someone sent the bot
+async function downloadTelegramFile(fileId) {
+  const fileResponse = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/getFile?file_id=${fileId}`);
+  const fileData = await fileResponse.json();
+  
+  if (!fileData.ok) {
+    throw new Error('Could not get file info from Telegram');
+  }
+  
+  const fileUrl = `https://api.telegram.org/file/bot${TELEGRAM_TOKEN}/${fileData.result.file_path}`;
+  const response = await fetch(fileUrl);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Send message to Telegram
+// Messages go out as HTML, so anything typed by a user or read from the ledger is escaped first
+function escapeHtml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+async function sendTelegramMessage(chatId, message, options = {}) {
+  try {
+    const response = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: message,
+        parse_mode: 'HTML',
+        ...options
+      })
+    });
+    const data = await response.json();
+    return data.result || null;
+  } catch (error) {
+    console.error('Error sending Telegram message:', error);
+    return null;
+  }
+}
+
+// Send a file (CSV, export...) to Telegram as a document attachment. Returns false if it didn't go through.
+async function sendTelegramDocument(chatId, fileName, content, caption = '', mimeType = 'text/csv') {
+  try {
+    const form = new FormData();
+    form.append('chat_id', chatId);
+    form.append('document', new Blob([content], { type: mimeType }), fileName);
+    if (caption) {
+      form.append('caption', caption);
+      form.append('parse_mode', 'HTML');
+    }
+    
+    const response = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendDocument`, {
+      method: 'POST',
+      body: form
+    });
+    if (!response.ok) {
+      console.error(`Telegram refused the document ${fileName}: ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Error sending Telegram document:', error);
+    return false;
+  }
+}
+
+// Replace the text (and buttons) of a message the bot already sent
+async function editTelegramMessage(chatId, messageId, message, options = {}) {
+  try {
+    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/editMessageText`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chatId,
+        message_id: messageId,
+        text: message,
+        parse_mode: 'HTML',
+        ...options
+      })
+    });
+  } catch (error) {
+    console.error('Error editing Telegram message:', error);
+  }
+}
+
+// Stop the loading spinner on an inline button, optionally with a toast
+async function answerCallbackQuery(callbackQueryId, text = '') {
+  try {
+    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/answerCallbackQuery`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ callback_query_id: callbackQueryId, text })
+    });
+  } catch (error) {
+    console.error('Error answering callback query:', error);
+  }
+}
+
+// Format an expense for Telegram - used for drafts and for the saved confirmation
+function formatExpenseMessage(title, draftData, saved = null) {
+  const expenseData = draftData.expense;
+  let response = `${title}\n\n`;
+  
+  if (saved) {
+    response += `🆔 Entry: ${saved.entryId} (${saved.ledger} ledger)\n`;
+  }
+  
+  const currency = expenseData.currency || 'USD';
+  const amountText = currency === 'USD' ? `$${expenseData.amount}`
+    : expenseData.exchangeRate ? `$${expenseData.amount} (${escapeHtml(formatMoney(expenseData.originalAmount, currency))} at ${expenseData.exchangeRate}${expenseData.rateSource ? `, ${escapeHtml(expenseData.rateSource)}` : ''})`
+    : `${escapeHtml(formatMoney(expenseData.originalAmount, currency))} - not converted to USD yet`;
+  
+  response += `📅 Date: ${escapeHtml(expenseData.transactionDate)}\n` +
+    `💰 Amount: ${amountText}\n` +
+    `🏪 Vendor: ${escapeHtml(expenseData.vendor)}\n` +
+    `📂 Category: ${escapeHtml(expenseData.category)}\n` +
+    `🏢 Entity: ${escapeHtml((expenseData.entityType || '').toUpperCase())}\n` +
+    `🏷️ Type: ${escapeHtml(expenseData.businessType)}\n` +
+    `📊 Tax Deductible: ${escapeHtml(expenseData.deductibilityPercentage)}%\n` +
+    `📝 Notes: ${escapeHtml(expenseData.taxNotes)}`;
+  
+  if (expenseData.intercompany && expenseData.businessType !== 'personal') {
+    const otherLedger = expenseData.entityType === 'family_llc' ? LEDGER_TABS.scorp : LEDGER_TABS.family_llc;
+    response += saved
+      ? `\n🔗 Intercompany - linked entry ${saved.linkedEntryId} recorded in the ${otherLedger} ledger`
+      : `\n🔗 Intercompany - will also be recorded in the ${otherLedger} ledger`;
+  }
+  
+  if (saved && saved.parts && saved.parts.length > 0) {
+    response += `\n✂️ Split into ${saved.parts.length} parts:`;
+    saved.parts.forEach(part => {
+      response += `\n   • ${part.entryId} $${part.amount} · ${escapeHtml(part.category)} · ${part.ledger}`;
+    });
+  } else if (!saved && expenseData.splits) {
+    response += `\n✂️ Will be split into ${expenseData.splits.length} parts:`;
+    expenseData.splits.forEach(part => {
+      response += `\n   • $${part.amount} · ${escapeHtml(part.category)} · ${ledgerTabFor(part.businessType, part.entityType)}${part.description ? ` - ${escapeHtml(part.description)}` : ''}`;
+    });
+  }
+  
+  (expenseData.warnings || []).forEach(warning => {
+    response += `\n⚠️ ${escapeHtml(warning)}`;
+  });
+  
+  if (saved) {
+    (saved.budgetWarnings || []).forEach(warning => {
+      response += `\n💸 ${warning.text}`;
+    });
+  }
+  
+  if (!saved && expenseData.needsReview) {
+    response += `\n🔎 ${escapeHtml(expenseData.reviewReason)}`;
+  }
+  
+  if (expenseData.pendingApproval) {
+    response += saved
+      ? `\n⏳ Sent to the owner for approval - it isn't counted until then`
+      : `\n⏳ Needs owner approval after you save it`;
+  }
+  
+  if (!saved) {
+    (draftData.duplicates || []).forEach(duplicate => {
+      response += `\n👯 Possible duplicate of ${duplicate.entryId}: ${escapeHtml(duplicate.vendor)} $${escapeHtml(duplicate.amount)} on ${escapeHtml(duplicate.date)} (${escapeHtml(duplicate.reason)})`;
+    });
+  }
+  
+  if (draftData.caption) {
+    response += `\n💬 Your notes: "${escapeHtml(draftData.caption)}" (added to description)`;
+  }
+  
+  if (draftData.source === 'receipt') {
+    if (expenseData.receiptPath) {
+      const pages = draftData.pages > 1 ? ` (${draftData.pages} pages)` : '';
+      response += saved
+        ? `\n🔒 <b>Receipt stored privately</b>${pages} - /receipt ${saved.entryId} to view it`
+        : `\n🔒 <b>Receipt stored privately</b>${pages} - you can view it with /receipt once saved`;
+    } else {
+      response += `\n❌ Receipt upload failed - saved text only`;
+    }
+    response += `\n\n📋 Extracted: ${escapeHtml(draftData.ocrExcerpt)}...`;
+  }
+  
+  return response;
+}
+
+function draftKeyboard(draftId, draftData = {}) {
+  // Contractors can only send their entry or drop it
+  if (draftData.expense && draftData.expense.pendingApproval) {
+    return { inline_keyboard: [[
+      { text: '✅ Save', callback_data: `d:${draftId}:save` },
+      { text: '❌ Cancel', callback_data: `d:${draftId}:cancel` }
+    ]] };
+  }
+  
+  const rows = [
+    [{ text: '✅ Save', callback_data: `d:${draftId}:save` }],
+    [
+      { text: '📂 Change category', callback_data: `d:${draftId}:cat` },
+      { text: '🏢 Change entity', callback_data: `d:${draftId}:ent` }
+    ],
+    [
+      { text: '👤 Toggle personal', callback_data: `d:${draftId}:pers` },
+      { text: '❌ Cancel', callback_data: `d:${draftId}:cancel` }
+    ]
+  ];
+  
+  if (draftData.expense && draftData.expense.splits) {
+    rows.push([{ text: '🧩 Keep as one expense', callback_data: `d:${draftId}:nosplit` }]);
+  }
+  
+  // A receipt for something already logged gets attached to that entry; a repeated text entry is just dropped
+  const duplicate = (draftData.duplicates || [])[0];
+  if (duplicate) {
+    rows[0].push(draftData.expense.receiptPath
+      ? { text: `🔗 Merge receipt into ${duplicate.entryId}`, callback_data: `d:${draftId}:merge` }
+      : { text: `🗑️ Already logged (${duplicate.entryId})`, callback_data: `d:${draftId}:merge` });
+  }
+  
+  return { inline_keyboard: rows };
+}
+
+function categoryKeyboard(draftId, entityType) {
+  const categories = EXPENSE_CATEGORIES[entityType] || EXPENSE_CATEGORIES.scorp;
+  const rows = [];
+  
+  for (let i = 0; i < categories.length; i += 2) {
+    rows.push(categories.slice(i, i + 2).map((category, offset) => ({
+      text: category,
+      callback_data: `d:${draftId}:c:${i + offset}`
+    })));
+  }
+  rows.push([{ text: '⬅️ Back', callback_data: `d:${draftId}:back` }]);
+  
+  return { inline_keyboard: rows };
+}
+
+function draftTitle(draftData) {
+  return draftData.source === 'receipt' ? '📸 <b>Review Receipt</b>' : '📝 <b>Review Expense</b>';
+}
+
+// Show an expense as a draft with Save / Change / Cancel buttons instead of saving it straight away
+async function sendExpenseDraft(chatId, draftData) {
+  const duplicates = await checkForDuplicates(draftData.expense);
+  if (duplicates.length > 0) {
+    draftData.duplicates = duplicates;
+  }
+  
+  const draft = await createDraft(chatId, draftData);
+  if (duplicates.length > 0) {
+    await flagDuplicates(chatId, draft.id, draftData.expense, duplicates);
+  }
+  
+  const sent = await sendTelegramMessage(chatId, formatExpenseMessage(draftTitle(draftData), draftData), {
+    reply_markup: draftKeyboard(draft.id, draftData)
+  });
+  
+  if (sent) {
+    await updateDraft(draft, { messageId: sent.message_id });
+  }
+  return draft;
+}
+
+const RECEIPT_FILE_EXTENSIONS = ['.pdf', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic'];
+const ALBUM_PAGES_TITLE = 'Album Pages';
+const ALBUM_PAGE_HEADERS = ['Media Group ID', 'Chat ID', 'Message ID', 'Receipt Path', 'Receipt Hash', 'Text', 'Caption', 'Draft ID', 'Received At', 'Claim ID'];
+// How long the page that claims an album waits for the rest of it before the draft is built
+const ALBUM_SETTLE_MS = 2500;
+const ALBUM_TEXT_LIMIT = 5000;
+
+// Invoices and receipts sent as files rather than photos
+function isReceiptFile(document) {
+  const name = (document.file_name || '').toLowerCase();
+  const mimeType = document.mime_type || '';
+  return mimeType.startsWith('image/') || mimeType === 'application/pdf' ||
+    RECEIPT_FILE_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+// Categorize OCR text (one page or a whole album) and show it as a receipt draft
+async function draftReceipt(chatId, { text, receiptPath, receiptHash, caption, pages = 1 }, actor = {}) {
+  // Create the description for Claude - include caption in a clear way
+  let descriptionForClaude = `Receipt text: ${text}`;
+  if (caption) {
+    descriptionForClaude += `\n\nAdditional context: ${caption}`;
+  }
+  
+  // Process with Claude (or the offline rules if it's unavailable)
+  const expenseData = await categorizeExpense(descriptionForClaude);
+  if (!expenseData) {
+    return null;
+  }
+  
+  // If there was a caption, add it to the description
+  if (caption) {
+    expenseData.suggestedDescription = `${expenseData.suggestedDescription} - ${caption}`;
+  }
+  expenseData.receiptPath = receiptPath || '';
+  expenseData.receiptHash = receiptHash;
+  if (actor.role === 'contractor') {
+    applyContractorRules(expenseData, actor);
+  }
+  
+  // Nothing is written until the user presses Save on the draft
+  return sendExpenseDraft(chatId, {
+    source: 'receipt',
+    expense: expenseData,
+    caption,
+    pages,
+    ocrExcerpt: text.substring(0, 60)
+  });
+}
+
+// Read a receipt photo or file and send its draft. Album pages are collected into one draft instead.
+async function processReceiptFile(chatId, message, fileId, actor = {}) {
+  const caption = (message.caption || '').trim();
+  const fileBuffer = await downloadTelegramFile(fileId);
+  const receiptHash = hashReceipt(fileBuffer);
+  
+  // The exact same file sent twice doesn't need OCR, AI or another upload - album pages are checked one by one
+  const [sameReceipt] = await checkForDuplicates({ receiptHash });
+  if (sameReceipt) {
+    const what = message.media_group_id ? 'album page' : 'receipt';
+    await sendTelegramMessage(chatId,
+      `👯 This ${what} is already attached to entry ${sameReceipt.entryId} (${escapeHtml(sameReceipt.vendor)} $${escapeHtml(sameReceipt.amount)} on ${escapeHtml(sameReceipt.date)}). Nothing was added.`
+    );
+    return 'Duplicate receipt';
+  }
+  
+  // Process with Google Vision OCR (or the PDF's own text) and save to Firebase
+  const ocrResult = await processReceiptOCR(fileBuffer, `receipt-${Date.now()}-${fileId}`);
+  if (!ocrResult.text) {
+    await sendTelegramMessage(chatId, '❌ Could not extract text from receipt. Please try a clearer photo or enter manually.');
+    return 'OCR failed';
+  }
+  
+  if (message.media_group_id) {
+    return addAlbumPage(chatId, message, { ...ocrResult, receiptHash, caption }, actor);
+  }
+  
+  const draft = await draftReceipt(chatId, { ...ocrResult, receiptHash, caption }, actor);
+  if (!draft) {
+    await sendTelegramMessage(chatId, '❌ Could not categorize the receipt. Please try entering manually.');
+    return 'Processing failed';
+  }
+  return 'Receipt draft sent';
+}
+
+// Telegram delivers each photo of an album as its own update, often in parallel. Every page is
+// stored as it arrives and the first stored row claims the album: that page waits for the rest,
+// drafts the whole album and attaches whatever turned up meanwhile. Later pages attach themselves.
+async function addAlbumPage(chatId, message, page, actor = {}) {
+  const groupId = String(message.media_group_id);
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, ALBUM_PAGES_TITLE, ALBUM_PAGE_HEADERS);
+  
+  const claim = await appendClaim(sheet, 'Media Group ID', {
+    'Media Group ID': groupId,
+    'Chat ID': chatId,
+    'Message ID': message.message_id,
+    'Receipt Path': page.receiptPath || '',
+    'Receipt Hash': page.receiptHash,
+    'Text': page.text.substring(0, ALBUM_TEXT_LIMIT),
+    'Caption': page.caption,
+    'Draft ID': '',
+    'Received At': new Date().toISOString()
+  });
+  
+  if (!claim.won) {
+    // Without a draft yet, the claiming page picks this one up when it re-reads the album
+    const draftId = claim.rows.map(row => row.get('Draft ID')).find(Boolean);
+    if (!draftId) {
+      return 'Album page stored';
+    }
+    await attachAlbumPages(chatId, draftId, [claim.row]);
+    return 'Album page added to draft';
+  }
+  
+  await new Promise(resolve => setTimeout(resolve, ALBUM_SETTLE_MS));
+  
+  let pages = await getAlbumPages(sheet, groupId);
+  const caption = pages.map(row => row.get('Caption')).find(Boolean) || '';
+  const text = pages.length === 1
+    ? pages[0].get('Text')
+    : pages.map((row, i) => `[Page ${i + 1} of ${pages.length}]\n${row.get('Text')}`).join('\n\n');
+  
+  const draft = await draftReceipt(chatId, {
+    text,
+    receiptPath: pages.map(row => row.get('Receipt Path')).filter(Boolean).join(' | '),
+    receiptHash: pages.map(row => row.get('Receipt Hash')).filter(Boolean).join(' | '),
+    caption,
+    pages: pages.length
+  }, actor);
+  if (!draft) {
+    await sendTelegramMessage(chatId, '❌ Could not categorize the receipt. Please try entering manually.');
+    return 'Processing failed';
+  }
+  
+  for (const row of pages) {
+    row.set('Draft ID', draft.id);
+    await row.save();
+  }
+  
+  // Pages that arrived while the draft was being categorized
+  pages = await getAlbumPages(sheet, groupId);
+  await attachAlbumPages(chatId, draft.id, pages);
+  return 'Album draft sent';
+}
+
+async function getAlbumPages(sheet, groupId) {
+  const rows = await sheet.getRows();
+  return rows
+    .filter(row => row.get('Media Group ID') === groupId)
+    .sort((a, b) => Number(a.get('Message ID')) - Number(b.get('Message ID')));
+}
+
+// Add album pages that aren't on a draft yet to its receipt paths and refresh the draft message
+async function attachAlbumPages(chatId, draftId, pages) {
+  const unattached = pages.filter(row => !row.get('Draft ID'));
+  if (unattached.length === 0) {
+    return;
+  }
+  
+  const draft = await loadDraft(draftId);
+  for (const row of unattached) {
+    row.set('Draft ID', draftId);
+    await row.save();
+  }
+  if (!draft || draft.row.get('Status') !== 'open') {
+    await sendTelegramMessage(chatId, `⚠️ ${unattached.length} album page(s) arrived after the draft was closed and were not attached.`);
+    return;
+  }
+  
+  // A late page and the claiming page can both pick up the same row, so skip pages already on the draft
+  const expenseData = draft.data.expense;
+  const hashes = receiptHashes(expenseData.receiptHash);
+  const added = unattached.filter(row => !hashes.includes(row.get('Receipt Hash')));
+  if (added.length === 0) {
+    return;
+  }
+  expenseData.receiptPath = [...receiptPaths(expenseData.receiptPath), ...added.map(row => row.get('Receipt Path')).filter(Boolean)].join(' | ');
+  expenseData.receiptHash = [...hashes, ...added.map(row => row.get('Receipt Hash'))].join(' | ');
+  draft.data.pages = (draft.data.pages || 1) + added.length;
+  await updateDraft(draft);
+  
+  const messageId = draft.row.get('Message ID');
+  if (messageId) {
+    await editTelegramMessage(chatId, messageId, formatExpenseMessage(draftTitle(draft.data), draft.data), {
+      reply_markup: draftKeyboard(draftId, draft.data)
+    });
+  }
+}
+
+// Handle a press on one of the draft buttons ("d:<draftId>:<action>[:<arg>]")
+async function handleDraftCallback(callbackQuery, chatId, actor) {
+  const [, draftId, action, arg] = callbackQuery.data.split(':');
+  const messageId = callbackQuery.message.message_id;
+  const draft = await loadDraft(draftId);
+  
+  if (!draft || draft.row.get('Chat ID') !== chatId) {
+    await answerCallbackQuery(callbackQuery.id, 'Draft not found');
+    return 'Draft not found';
+  }
+  
+  const status = draft.row.get('Status');
+  if (status !== 'open') {
+    await answerCallbackQuery(callbackQuery.id, `This draft is already ${status}`);
+    return `Draft ${status}`;
+  }
+  
+  if (draft.data.source === 'import') {
+    return handleImportCallback(callbackQuery, chatId, actor, draft, action);
+  }
+  
+  const expenseData = draft.data.expense;
+  const showDraft = (keyboard = draftKeyboard(draftId, draft.data)) =>
+    editTelegramMessage(chatId, messageId, formatExpenseMessage(draftTitle(draft.data), draft.data), { reply_markup: keyboard });
+  
+  switch (action) {
+    case 'save': {
+      // A rate may have been added with /rate since the draft was made
+      if (!expenseData.exchangeRate) {
+        await convertToUSD(expenseData);
+        if (!expenseData.exchangeRate) {
+          await answerCallbackQuery(callbackQuery.id, `No ${expenseData.currency} rate on file - add one with /rate ${expenseData.currency} [USD value], then Save`);
+          return 'Save blocked - no exchange rate';
+        }
+        await updateDraft(draft);
+      }
+      // Pressing Save on the draft is the review
+      expenseData.needsReview = false;
+      const result = await addExpenseToSheet(expenseData, actor);
+      if (!result.success) {
+        await answerCallbackQuery(callbackQuery.id, `Error saving: ${result.error}`);
+        return 'Save failed';
+      }
+      await updateDraft(draft, { status: 'saved' });
+      if (draft.data.corrected) {
+        await learnVendorCategory(await initStorage(), expenseData, actor);
+      }
+      if (draft.data.duplicates) {
+        await resolveDuplicateFlags(draftId, 'kept both', result.entryId);
+      }
+      const title = draft.data.source === 'receipt' ? '📸 <b>Receipt Processed!</b>' : '✅ <b>Expense Added!</b>';
+      await editTelegramMessage(chatId, messageId, formatExpenseMessage(title, draft.data, result));
+      await answerCallbackQuery(callbackQuery.id, 'Saved');
+      // The contract labor limit is checked once an owner approves the entry
+      if (expenseData.pendingApproval) {
+        await requestApproval(result.entryId);
+      } else {
+        await checkContractLaborLimit(chatId, expenseData);
+      }
+      return 'Draft saved';
+    }
+    case 'cancel':
+      await updateDraft(draft, { status: 'cancelled' });
+      if (draft.data.duplicates) {
+        await resolveDuplicateFlags(draftId, 'discarded');
+      }
+      await editTelegramMessage(chatId, messageId, `❌ Discarded: ${escapeHtml(expenseData.vendor)} - $${expenseData.amount}`);
+      await answerCallbackQuery(callbackQuery.id, 'Discarded');
+      return 'Draft cancelled';
+    case 'merge': {
+      const duplicate = (draft.data.duplicates || [])[0];
+      if (!duplicate) {
+        break;
+      }
+      if (!expenseData.receiptPath) {
+        await updateDraft(draft, { status: 'discarded' });
+        await resolveDuplicateFlags(draftId, 'discarded');
+        await editTelegramMessage(chatId, messageId, `🗑️ Discarded: ${escapeHtml(expenseData.vendor)} - $${expenseData.amount} is already logged as entry ${duplicate.entryId}`);
+        await answerCallbackQuery(callbackQuery.id, 'Discarded');
+        return 'Draft discarded as duplicate';
+      }
+      const result = await mergeReceiptIntoEntry(duplicate.entryId, expenseData, actor);
+      if (!result.success) {
+        await answerCallbackQuery(callbackQuery.id, `Error merging: ${result.error}`);
+        return 'Merge failed';
+      }
+      await updateDraft(draft, { status: 'merged' });
+      await resolveDuplicateFlags(draftId, 'merged');
+      await editTelegramMessage(chatId, messageId,
+        `🔗 <b>Receipt merged</b>\n\nAttached to entry ${result.entryId} (${result.ledger} ledger) instead of logging ${escapeHtml(expenseData.vendor)} - $${expenseData.amount} again.\n` +
+        `🔒 /receipt ${result.entryId} to view it\n💡 Use /undo to detach it`
+      );
+      await answerCallbackQuery(callbackQuery.id, 'Merged');
+      return 'Draft merged';
+    }
+    case 'cat':
+      await showDraft(categoryKeyboard(draftId, expenseData.entityType));
+      break;
+    case 'c': {
+      const category = (EXPENSE_CATEGORIES[expenseData.entityType] || EXPENSE_CATEGORIES.scorp)[parseInt(arg)];
+      if (category) {
+        expenseData.category = category;
+        expenseData.deductibilityPercentage = defaultDeductibility(category, expenseData.transactionDate);
+        expenseData.taxDeductible = expenseData.deductibilityPercentage > 0;
+        expenseData.businessType = category === 'Personal Expenses' ? 'personal' : expenseData.entityType === 'family_llc' ? 'family_llc' : 'business';
+        draft.data.corrected = true;
+        await updateDraft(draft);
+      }
+      await showDraft();
+      break;
+    }
+    case 'ent': {
+      expenseData.entityType = expenseData.entityType === 'family_llc' ? 'scorp' : 'family_llc';
+      if (expenseData.businessType !== 'personal') {
+        expenseData.businessType = expenseData.entityType === 'family_llc' ? 'family_llc' : 'business';
+      }
+      draft.data.corrected = true;
+      await updateDraft(draft);
+      // A category from the other entity's list doesn't make sense here - ask for a new one
+      const categoryValid = EXPENSE_CATEGORIES[expenseData.entityType].includes(expenseData.category);
+      await showDraft(categoryValid ? draftKeyboard(draftId, draft.data) : categoryKeyboard(draftId, expenseData.entityType));
+      break;
+    }
+    case 'pers':
+      if (expenseData.businessType === 'personal') {
+        Object.assign(expenseData, draft.data.beforePersonal || {
+          businessType: expenseData.entityType === 'family_llc' ? 'family_llc' : 'business',
+          deductibilityPercentage: defaultDeductibility(expenseData.category, expenseData.transactionDate),
+          taxDeductible: true
+        });
+        delete draft.data.beforePersonal;
+      } else {
+        draft.data.beforePersonal = {
+          businessType: expenseData.businessType,
+          deductibilityPercentage: expenseData.deductibilityPercentage,
+          taxDeductible: expenseData.taxDeductible
+        };
+        expenseData.businessType = 'personal';
+        expenseData.deductibilityPercentage = 0;
+        expenseData.taxDeductible = false;
+      }
+      await updateDraft(draft);
+      await showDraft();
+      break;
+    case 'nosplit':
+      expenseData.splits = null;
+      await updateDraft(draft);
+      await showDraft();
+      break;
+    case 'back':
+      await showDraft();
+      break;
+    default:
+      break;
+  }
+  
+  await answerCallbackQuery(callbackQuery.id);
+  return 'Draft updated';
+}
+
+const STATEMENT_EXTENSIONS = ['.csv', '.ofx', '.qfx'];
+const IMPORT_MAX_TRANSACTIONS = 40;
+const IMPORT_BATCH_SIZE = 5;
+const IMPORT_MATCH_WINDOW_DAYS = 3;
+
+function isStatementFile(document) {
+  const name = (document.file_name || '').toLowerCase();
+  return STATEMENT_EXTENSIONS.some(extension => name.endsWith(extension)) || document.mime_type === 'text/csv';
+}
+
+// Minimal RFC 4180 parser - quoted fields, escaped quotes and newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Statement amounts: "$1,234.56", "-12.00", "(12.00)" - negative means money out for most banks
+function parseSignedAmount(value) {
+  const text = String(value || '').trim();
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const amount = parseFloat(text.replace(/[^\d.]/g, ''));
+  if (!isFinite(amount)) {
+    return null;
+  }
+  return negative ? -amount : amount;
+}
+
+function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  if (!/^\d{1,4}[\/\-]\d{1,2}[\/\-]\d{1,4}$/.test(text)) {
+    return null;
+  }
+  return parseTransactionDate(text);
+}
+
+// CSV exports from Chase, Amex, Bank of America, Capital One, Wells Fargo and most others.
+// Returns money-out transactions with a positive amount.
+function parseStatementCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const headerIndex = rows.slice(0, 10).findIndex(row => row.some(cell => /date/i.test(cell)) && row.some(cell => /amount|debit|withdrawal/i.test(cell)));
+  let columns;
+  let dataRows;
+  
+  if (headerIndex >= 0) {
+    const header = rows[headerIndex].map(cell => cell.trim().toLowerCase());
+    const find = (...patterns) => {
+      for (const pattern of patterns) {
+        const index = header.findIndex(cell => pattern.test(cell));
+        if (index >= 0) {
+          return index;
+        }
+      }
+      return -1;
+    };
+    columns = {
+      date: find(/^(transaction|trans\.?) date$/, /^date$/, /^post(ed|ing)? date$/, /date/),
+      description: find(/^description$/, /^payee$/, /^merchant/, /^name$/, /description/, /payee/, /memo/),
+      amount: find(/^amount/, /amount/),
+      debit: find(/^debit/, /withdrawal/),
+      credit: find(/^credit/, /deposit/)
+    };
+    dataRows = rows.slice(headerIndex + 1);
+  } else {
+    // No header (Wells Fargo) - work the columns out from the first row
+    const first = rows[0] || [];
+    const lengths = first.map((cell, index) => (parseStatementDate(cell) || parseSignedAmount(cell) !== null ? 0 : cell.trim().length + index / 100));
+    columns = {
+      date: first.findIndex(cell => parseStatementDate(cell)),
+      amount: first.findIndex(cell => /^[-(]?\$?[\d,]+\.\d{2}\)?$/.test(cell.trim())),
+      description: lengths.indexOf(Math.max(...lengths)),
+      debit: -1,
+      credit: -1
+    };
+    dataRows = rows;
+  }
+  
+  if (columns.date < 0 || (columns.amount < 0 && columns.debit < 0)) {
+    return { transactions: [], error: 'Could not find the date and amount columns in this CSV' };
+  }
+  
+  const parsed = dataRows.map(row => {
+    let amount;
+    if (columns.debit >= 0) {
+      const debit = Math.abs(parseSignedAmount(row[columns.debit]) || 0);
+      const credit = Math.abs(parseSignedAmount(row[columns.credit]) || 0);
+      amount = debit ? -debit : credit;
+    } else {
+      amount = parseSignedAmount(row[columns.amount]);
+    }
+    return {
+      date: parseStatementDate(row[columns.date]),
+      description: (row[columns.description] || '').trim(),
+      amount
+    };
+  }).filter(transaction => transaction.date && transaction.amount);
+  
+  // Most banks show purchases as negative; card issuers like Amex show them as positive.
+  // Whichever sign the majority of lines has is the spending side.
+  const spendingSign = columns.debit >= 0 || parsed.filter(t => t.amount < 0).length >= parsed.length / 2 ? -1 : 1;
+  const transactions = parsed
+    .filter(transaction => Math.sign(transaction.amount) === spendingSign)
+    .map(transaction => ({ ...transaction, amount: Math.abs(transaction.amount) }));
+  
+  return { transactions, ignored: parsed.length - transactions.length };
+}
+
+// OFX/QFX (SGML or XML) - each <STMTTRN> block is one transaction
+function parseOfx(text) {
+  const parsed = text.split(/<STMTTRN>/i).slice(1).map(block => {
+    const tag = (name) => ((block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i')) || [])[1] || '').trim();
+    const posted = tag('DTPOSTED');
+    return {
+      date: /^\d{8}/.test(posted) ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}` : null,
+      description: [tag('NAME'), tag('MEMO')].filter(Boolean).join(' - '),
+      amount: parseFloat(tag('TRNAMT')),
+      fitId: tag('FITID')
+    };
+  }).filter(transaction => transaction.date && isFinite(transaction.amount));
+  
+  const transactions = parsed
+    .filter(transaction => transaction.amount < 0)
+    .map(transaction => ({ ...transaction, amount: Math.abs(transaction.amount) }));
+  
+  return { transactions, ignored: parsed.length - transactions.length };
+}
+
+// Parse a statement file and give every transaction a stable Import ID so re-sending it is harmless
+function parseStatement(fileName, content) {
+  const isOfx = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(content);
+  const result = isOfx ? parseOfx(content) : parseStatementCsv(content);
+  const seen = new Map();
+  
+  result.transactions = result.transactions.map(transaction => {
+    const key = transaction.fitId
+      ? `ofx:${transaction.fitId}`
+      : `csv:${crypto.createHash('sha1').update(`${transaction.date}|${transaction.amount.toFixed(2)}|${transaction.description}`).digest('hex').slice(0, 12)}`;
+    // Two identical coffees on the same day are still two transactions
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+    return { ...transaction, importId: occurrence > 1 ? `${key}-${occurrence}` : key };
+  });
+  
+  return result;
+}
+
+function daysBetween(a, b) {
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime()) / MS_PER_DAY;
+}
+
+// Split statement transactions into new ones and ones the ledger already has -
+// either imported before, or typed in by hand (same amount within a few days)
+async function filterAlreadyLogged(transactions) {
+  const doc = await initStorage();
+  const entries = await getLedgerEntries(doc);
+  const importIds = new Set(entries.map(entry => entry.row.get('Import ID')).filter(Boolean));
+  const activeRows = entries.map(entry => entry.row).filter(row => !isVoided(row));
+  const fresh = [];
+  const skipped = [];
+  
+  transactions.forEach(transaction => {
+    if (importIds.has(transaction.importId)) {
+      skipped.push({ ...transaction, reason: 'already imported' });
+      return;
+    }
+    const match = activeRows.find(row =>
+      Math.abs(parseAmount(row.get('Amount')) - transaction.amount) < 0.005 &&
+      toISODate(row.get('Date')) && daysBetween(toISODate(row.get('Date')), transaction.date) <= IMPORT_MATCH_WINDOW_DAYS
+    );
+    if (match) {
+      skipped.push({ ...transaction, reason: `matches entry ${match.get('Entry ID') || match.get('Vendor')}` });
+      return;
+    }
+    fresh.push(transaction);
+  });
+  
+  return { fresh, skipped };
+}
+
+// Categorize statement lines a few at a time so we don't hit the AI with dozens of parallel calls
+async function categorizeTransactions(transactions) {
+  const results = [];
+  const memory = await loadVendorMemory();
+  
+  for (let i = 0; i < transactions.length; i += IMPORT_BATCH_SIZE) {
+    const batch = transactions.slice(i, i + IMPORT_BATCH_SIZE);
+    const categorized = await Promise.all(batch.map(async transaction => {
+      const expenseData = await categorizeExpense(
+        `Bank statement transaction on ${transaction.date}: ${transaction.description} $${transaction.amount.toFixed(2)}`,
+        memory
+      );
+      if (!expenseData) {
+        return { transaction, expense: null };
+      }
+      // The statement is authoritative for amount and date
+      return {
+        transaction,
+        expense: {
+          ...expenseData,
+          amount: transaction.amount,
+          currency: 'USD',
+          originalAmount: transaction.amount,
+          exchangeRate: 1,
+          transactionDate: transaction.date,
+          importId: transaction.importId
+        }
+      };
+    }));
+    results.push(...categorized);
+  }
+  
+  return results;
+}
+
+function formatImportMessage(draftData) {
+  const { fileName, expenses, skipped, failed, ignored, truncated } = draftData;
+  const total = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+  const byCategory = {};
+  
+  expenses.forEach(expense => {
+    byCategory[expense.category] ||= { amount: 0, count: 0 };
+    byCategory[expense.category].amount += expense.amount;
+    byCategory[expense.category].count += 1;
+  });
+  
+  let response = `🏦 <b>Statement Import: ${escapeHtml(fileName)}</b>\n\n` +
+    `✅ Ready to import: ${expenses.length} ($${total.toFixed(2)})\n`;
+  if (skipped.length > 0) {
+    response += `⏭️ Already in the ledger: ${skipped.length}\n`;
+  }
+  if (failed.length > 0) {
+    response += `❓ Couldn't categorize: ${failed.length} (add these by hand)\n`;
+  }
+  const unsure = expenses.filter(expense => expense.needsReview).length;
+  if (unsure > 0) {
+    response += `🔎 Low confidence: ${unsure} - marked "${NEEDS_REVIEW_STATUS}" in the ledger so you can check them\n`;
+  }
+  if (ignored > 0) {
+    response += `↪️ Credits and payments ignored: ${ignored}\n`;
+  }
+  if (truncated > 0) {
+    response += `✂️ ${truncated} more left out - only ${IMPORT_MAX_TRANSACTIONS} are imported at a time, send the file again afterwards\n`;
+  }
+  
+  if (expenses.length > 0) {
+    response += `\n<b>By category:</b>\n`;
+    Object.entries(byCategory)
+      .sort(([, a], [, b]) => b.amount - a.amount)
+      .forEach(([category, totals]) => {
+        response += `• ${escapeHtml(category)}: $${totals.amount.toFixed(2)} (${totals.count})\n`;
+      });
+    
+    response += `\n<b>Transactions:</b>\n`;
+    expenses.slice(0, 15).forEach(expense => {
+      response += `${expense.transactionDate} ${escapeHtml(expense.vendor)} $${expense.amount.toFixed(2)} → ${escapeHtml(expense.category)} (${ENTITY_LABELS[expense.businessType === 'personal' ? 'personal' : expense.entityType] || expense.entityType})${expense.needsReview ? ' 🔎' : ''}\n`;
+    });
+    if (expenses.length > 15) {
+      response += `…and ${expenses.length - 15} more\n`;
+    }
+  }
+  
+  failed.forEach(transaction => {
+    response += `\n❓ ${transaction.date} ${escapeHtml(transaction.description)} $${transaction.amount.toFixed(2)}`;
+  });
+  
+  return response;
+}
+
+// Download a statement, categorize the new lines and show them as one draft to approve
+async function processStatementImport(chatId, document) {
+  const content = (await downloadTelegramFile(document.file_id)).toString('utf8');
+  const parsed = parseStatement(document.file_name || 'statement.csv', content);
+  
+  if (parsed.error || parsed.transactions.length === 0) {
+    await sendTelegramMessage(chatId, `❌ ${escapeHtml(parsed.error || 'No spending transactions found in this file.')}`);
+    return 'No transactions';
+  }
+  
+  const { fresh, skipped } = await filterAlreadyLogged(parsed.transactions);
+  const toCategorize = fresh.slice(0, IMPORT_MAX_TRANSACTIONS);
+  
+  if (toCategorize.length === 0) {
+    await sendTelegramMessage(chatId, `✅ All ${skipped.length} transactions in this statement are already in the ledger.`);
+    return 'Nothing new';
+  }
+  
+  await sendTelegramMessage(chatId, `🏦 Found ${toCategorize.length} new transactions - categorizing...`);
+  const categorized = await categorizeTransactions(toCategorize);
+  
+  const draftData = {
+    source: 'import',
+    fileName: document.file_name || 'statement',
+    expenses: categorized.filter(result => result.expense).map(result => result.expense),
+    failed: categorized.filter(result => !result.expense).map(result => result.transaction),
+    skipped: skipped.map(({ date, amount, reason }) => ({ date, amount, reason })),
+    ignored: parsed.ignored || 0,
+    truncated: fresh.length - toCategorize.length
+  };
+  
+  const draft = await createDraft(chatId, draftData);
+  const keyboard = draftData.expenses.length > 0
+    ? { inline_keyboard: [[
+      { text: `✅ Import ${draftData.expenses.length}`, callback_data: `d:${draft.id}:save` },
+      { text: '❌ Cancel', callback_data: `d:${draft.id}:cancel` }
+    ]] }
+    : undefined;
+  
+  const sent = await sendTelegramMessage(chatId, formatImportMessage(draftData), keyboard ? { reply_markup: keyboard } : {});
+  if (sent) {
+    await updateDraft(draft, { messageId: sent.message_id });
+  }
+  return 'Import draft sent';
+}
+
+// Approve or cancel a statement import draft
+async function handleImportCallback(callbackQuery, chatId, actor, draft, action) {
+  const messageId = callbackQuery.message.message_id;
+  
+  if (action === 'cancel') {
+    await updateDraft(draft, { status: 'cancelled' });
+    await editTelegramMessage(chatId, messageId, `❌ Import of ${escapeHtml(draft.data.fileName)} cancelled - nothing was saved`);
+    await answerCallbackQuery(callbackQuery.id, 'Cancelled');
+    return 'Import cancelled';
+  }
+  
+  if (action !== 'save') {
+    await answerCallbackQuery(callbackQuery.id);
+    return 'Draft updated';
+  }
+  
+  const result = await addExpensesToSheet(draft.data.expenses, actor);
+  if (!result.success) {
+    await answerCallbackQuery(callbackQuery.id, `Error saving: ${result.error}`);
+    return 'Import failed';
+  }
+  
+  await updateDraft(draft, { status: 'saved' });
+  
+  // Only the latest state of each budget matters after a batch
+  const budgetWarnings = new Map();
+  result.saved.forEach(saved => (saved.budgetWarnings || []).forEach(warning => budgetWarnings.set(warning.budget, warning.text)));
+  
+  await editTelegramMessage(chatId, messageId,
+    `${formatImportMessage(draft.data)}\n\n✅ <b>Imported ${result.saved.length} expenses</b>\n` +
+    `🆔 ${result.saved.slice(0, 20).map(saved => saved.entryId).join(', ')}${result.saved.length > 20 ? ', …' : ''}\n` +
+    [...budgetWarnings.values()].map(text => `💸 ${text}\n`).join('') +
+    `💡 Use /recent and /edit to adjust any of them`
+  );
+  await answerCallbackQuery(callbackQuery.id, 'Imported');
+  return 'Import saved';
+}
+
+const ROLES = ['owner', 'bookkeeper', 'contractor'];
+// Commands each role may run. Owners can do everything, bookkeepers can read and run reports,
+// contractors only submit their own work.
+const ROLE_COMMANDS = {
+  owner: [/^\//],
+  bookkeeper: [
+    /^\/(start|recent|search|ytd|report|export|receipt|duplicates|dashboard)(\s|$)/,
+    /^\/budget( status)?$/,
+    /^\/recurring( list)?$/,
+    /^\/rate$/
+  ],
+  contractor: [/^\/start$/]
+};
+// What each role may send besides commands
+const ROLE_SUBMISSIONS = {
+  owner: ['expense', 'question', 'receipt', 'statement'],
+  bookkeeper: ['question'],
+  contractor: ['expense', 'receipt']
+};
+
+const ROLE_ASSIGNMENTS = new Map(
+  USER_ROLES.split(',')
+    .map(pair => pair.trim().split(':').map(part => part.trim()))
+    .filter(([id, role]) => id && ROLES.includes((role || '').toLowerCase()))
+    .map(([id, role]) => [id, role.toLowerCase()])
+);
+
+// A user's role, by their Telegram user ID first and then the chat's. null means no access.
+function getRole(userId, chatId) {
+  return ROLE_ASSIGNMENTS.get(String(userId)) || ROLE_ASSIGNMENTS.get(String(chatId)) ||
+    (AUTHORIZED_CHAT_IDS.includes(String(chatId)) ? 'owner' : null);
+}
+
+function getOwnerChatIds() {
+  const owners = [...ROLE_ASSIGNMENTS].filter(([, role]) => role === 'owner').map(([id]) => id);
+  const legacy = AUTHORIZED_CHAT_IDS.filter(id => id && !ROLE_ASSIGNMENTS.has(id));
+  return [...new Set([...owners, ...legacy])];
+}
+
+function canRunCommand(role, text) {
+  return (ROLE_COMMANDS[role] || []).some(pattern => pattern.test(text.trim()));
+}
+
+function canSubmit(role, kind) {
+  return (ROLE_SUBMISSIONS[role] || []).includes(kind);
+}
+
+// Contractors can only log their own paid work for the Family LLC, whatever the AI made of it.
+// Their entries wait for an owner to approve them.
+function applyContractorRules(expenseData, actor) {
+  Object.assign(expenseData, {
+    vendor: actor.user,
+    category: 'Contract Labor',
+    entityType: 'family_llc',
+    businessType: 'family_llc',
+    deductibilityPercentage: 100,
+    taxDeductible: true,
+    intercompany: false,
+    splits: null,
+    workDescription: expenseData.workDescription || expenseData.suggestedDescription,
+    pendingApproval: true
+  });
+  return expenseData;
+}
+
+function approvalKeyboard(entryId) {
+  return {
+    inline_keyboard: [[
+      { text: '✅ Approve', callback_data: `a:${entryId}:ok` },
+      { text: '❌ Reject', callback_data: `a:${entryId}:no` }
+    ]]
+  };
+}
+
+function formatApprovalRequest(row) {
+  return `⏳ <b>Approval needed</b> - ${escapeHtml(row.get('Submitted By') || 'A contractor')} submitted work\n\n` +
+    `🆔 Entry: ${row.get('Entry ID')}\n` +
+    `📅 Date: ${escapeHtml(row.get('Date'))}\n` +
+    `💰 Amount: $${escapeHtml(row.get('Amount'))}\n` +
+    `📝 ${escapeHtml(row.get('Work Description') || row.get('Description'))}`;
+}
+
+// Ask every owner to approve a contractor's entry
+async function requestApproval(entryId) {
+  const doc = await initStorage();
+  const entry = findEntryById(await getLedgerEntries(doc), entryId);
+  if (!entry) {
+    return;
+  }
+  
+  for (const ownerChatId of getOwnerChatIds()) {
+    await sendTelegramMessage(ownerChatId, formatApprovalRequest(entry.row), { reply_markup: approvalKeyboard(entryId) });
+  }
+}
+
+async function getPendingApprovals() {
+  const doc = await initStorage();
+  const entries = await getLedgerEntries(doc);
+  return entries.filter(entry => isPendingApproval(entry.row)).map(entry => entry.row);
+}
+
+// Approve (the row starts counting) or reject (it is voided) a contractor's entry. Returns the
+// chat it was submitted from, taken from its "add" row in the audit log, so they can be told.
+async function resolveApproval(entryId, approved, actor = {}) {
+  try {
+    const doc = await initStorage();
+    const entries = await prepareLedgerForWrite(doc);
+    const entry = findEntryById(entries, entryId);
+    
+    if (!entry) {
+      return { success: false, error: `Entry ${normalizeEntryId(entryId)} not found` };
+    }
+    if (!isPendingApproval(entry.row)) {
+      return { success: false, error: `Entry ${entry.row.get('Entry ID')} is not waiting for approval` };
+    }
+    
+    const values = { 'Status': approved ? '' : VOIDED_STATUS };
+    await updateEntryValues(doc, entries, entry, values);
+    await writeAuditLog(doc, actor, approved ? 'approve' : 'reject', entry.row.get('Entry ID'), { 'Status': PENDING_APPROVAL_STATUS }, values);
+    
+    const addRow = (await getAuditRows(doc)).find(auditRow =>
+      auditRow.get('Action') === 'add' && auditRow.get('Entry ID') === entry.row.get('Entry ID')
+    );
+    
+    return {
+      success: true,
+      row: entry.row,
+      submitterChatId: addRow ? addRow.get('Chat ID') : null
+    };
+  } catch (error) {
+    console.error('Error resolving approval:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Owner presses Approve / Reject on a contractor's entry ("a:<entryId>:ok|no")
+async function handleApprovalCallback(callbackQuery, chatId, actor) {
+  const [, entryId, decision] = callbackQuery.data.split(':');
+  const messageId = callbackQuery.message.message_id;
+  const approved = decision === 'ok';
+  
+  const result = await resolveApproval(entryId, approved, actor);
+  if (!result.success) {
+    await answerCallbackQuery(callbackQuery.id, result.error);
+    return 'Approval failed';
+  }
+  
+  const { row } = result;
+  const summary = `entry ${row.get('Entry ID')} - ${escapeHtml(row.get('Vendor'))} $${escapeHtml(row.get('Amount'))} on ${escapeHtml(row.get('Date'))}`;
+  await editTelegramMessage(chatId, messageId, approved
+    ? `✅ Approved ${summary}\n💡 /edit ${row.get('Entry ID')} to change it`
+    : `❌ Rejected ${summary}`);
+  await answerCallbackQuery(callbackQuery.id, approved ? 'Approved' : 'Rejected');
+  
+  if (result.submitterChatId && result.submitterChatId !== chatId) {
+    await sendTelegramMessage(result.submitterChatId, approved
+      ? `✅ Your ${summary} was approved`
+      : `❌ Your ${summary} was not approved - ask the owner for details`);
+  }
+  
+  if (approved) {
+    await checkContractLaborLimit(chatId, {
+      category: row.get('Category'),
+      businessType: row.get('Business Type'),
+      transactionDate: row.get('Date'),
+      amount: row.get('Amount')
+    });
+  }
+  return approved ? 'Entry approved' : 'Entry rejected';
+}
+
+// Main Netlify handler
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const DASHBOARD_SESSION_DAYS = 7;
+const API_PAGE_SIZE = 50;
+const API_HEADERS = {
+  ...CORS_HEADERS,
+  'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+  'Content-Type': 'application/json'
+};
+// The bot command each API route stands in for - a role may call a route when it may run the command
+const API_PERMISSIONS = {
+  list: '/search',
+  get: '/search',
+  summary: '/report',
+  update: '/edit',
+  delete: '/delete'
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+function signDashboardPayload(payload) {
+  return base64url(crypto.createHmac('sha256', DASHBOARD_SECRET).update(payload).digest());
+}
+
+// A login token for the dashboard: the Telegram user and chat, signed, valid for a week. The role
+// isn't in it - it is looked up on every request, so a change to USER_ROLES applies at once.
+function createDashboardToken(userId, actor) {
+  const payload = base64url(JSON.stringify({
+    u: String(userId),
+    c: actor.chatId,
+    n: actor.user,
+    exp: Date.now() + DASHBOARD_SESSION_DAYS * MS_PER_DAY
+  }));
+  return `${payload}.${signDashboardPayload(payload)}`;
+}
+
+// The actor behind a dashboard token, or null if it is forged, expired or the user lost access
+function verifyDashboardToken(token) {
+  if (!DASHBOARD_SECRET || !token) {
+    return null;
+  }
+  
+  const [payload, signature] = token.split('.');
+  const expected = signDashboardPayload(payload || '');
+  if (!signature || !safeEqual(signature, expected)) {
+    return null;
+  }
+  
+  try {
+    const session = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    const role = getRole(session.u, session.c);
+    return session.exp > Date.now() && role ? { chatId: session.c, role, user: session.n } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function serializeEntry({ row, tab }, receiptLinks = undefined) {
+  const paths = receiptPaths(row.get('Receipt URL'));
+  return {
+    id: row.get('Entry ID'),
+    date: row.get('Date'),
+    vendor: row.get('Vendor'),
+    category: row.get('Category'),
+    amount: parseAmount(row.get('Amount')),
+    businessType: row.get('Business Type'),
+    entity: row.get('Entity'),
+    ledger: tab,
+    deductible: parseAmount(row.get('Deductible %')),
+    taxNotes: row.get('Tax Notes'),
+    description: row.get('Description'),
+    notes: row.get('Work Description'),
+    status: row.get('Status') || '',
+    currency: row.get('Currency') || 'USD',
+    originalAmount: parseAmount(row.get('Original Amount') || row.get('Amount')),
+    exchangeRate: parseAmount(row.get('Exchange Rate')) || null,
+    parentEntry: row.get('Parent Entry') || null,
+    linkedEntry: row.get('Linked Entry') || null,
+    submittedBy: row.get('Submitted By') || '',
+    loggedAt: row.get('Logged At'),
+    receiptCount: paths.length,
+    ...(receiptLinks ? { receipts: receiptLinks } : {})
+  };
+}
+
+// Short-lived links to an entry's receipts. Only a single entry gets them - signing every receipt on a
+// page of the list would be a storage call per row, for links nobody may open.
+async function getReceiptLinks(row) {
+  const paths = receiptPaths(row.get('Receipt URL'));
+  try {
+    return await Promise.all(paths.map(async path => ({
+      url: await getReceiptLink(path),
+      type: /\.pdf$/i.test(path) ? 'pdf' : 'image'
+    })));
+  } catch (error) {
+    console.error('Error signing receipt links:', error);
+    return [];
+  }
+}
+
+// Monthly spend by category and by entity for the dashboard chart
+async function getMonthlySummary(period) {
+  const doc = await initStorage();
+  const entries = await getLedgerEntries(doc);
+  const rows = selectExpenseRows(entries, period.from, period.to);
+  const months = new Map();
+  
+  rows.forEach(row => {
+    const month = toISODate(row.get('Date')).slice(0, 7);
+    const amount = parseAmount(row.get('Amount'));
+    const totals = months.get(month) || { month, total: 0, byCategory: {}, byEntity: {} };
+    const category = row.get('Category') || 'Uncategorized';
+    const entity = reportEntityKey(row);
+    totals.total += amount;
+    totals.byCategory[category] = (totals.byCategory[category] || 0) + amount;
+    totals.byEntity[entity] = (totals.byEntity[entity] || 0) + amount;
+    months.set(month, totals);
+  });
+  
+  const summary = summarizeRows(rows);
+  return {
+    period,
+    months: [...months.values()].sort((a, b) => a.month.localeCompare(b.month)),
+    totals: { gross: summary.gross, deductible: summary.deductible, count: summary.count },
+    byCategory: summary.byCategory,
+    byEntity: summary.byEntity
+  };
+}
+
+// The dashboard's JSON API, served at /api/* (see netlify.toml):
+//   GET    /api/me                    who is logged in and what they may do
+//   GET    /api/expenses?q=&page=     entries matching a /search query, newest first
+//   GET    /api/expenses/:id          one entry with links to its receipts
+//   PATCH  /api/expenses/:id          { field: value, ... } - the fields /edit takes
+//   DELETE /api/expenses/:id          void an entry, as /delete does
+//   GET    /api/summary?period=       monthly spend by category and entity (any /report period)
+// Every call carries "Authorization: Bearer <token from /dashboard>" and is held to the same role
+// rules as the bot.
+async function handleApiRequest(event) {
+  const headers = API_HEADERS;
+  const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+  
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers };
+  }
+  
+  const authorization = event.headers?.authorization || event.headers?.Authorization || '';
+  const actor = verifyDashboardToken(authorization.replace(/^Bearer\s+/i, ''));
+  if (!actor) {
+    return respond(401, { error: 'Not logged in - send /dashboard to the bot for a new link' });
+  }
+  
+  const route = (event.path || '').replace(/^\/(?:\.netlify\/functions\/)?api/, '').split('/').filter(Boolean);
+  const params = event.queryStringParameters || {};
+  const method = event.httpMethod;
+  const action = route[0] === 'me' && method === 'GET' ? 'me'
+    : route[0] === 'summary' && method === 'GET' ? 'summary'
+    : route[0] === 'expenses' && route.length === 1 && method === 'GET' ? 'list'
+    : route[0] === 'expenses' && route.length === 2 ? { GET: 'get', PATCH: 'update', DELETE: 'delete' }[method]
+    : null;
+  
+  if (!action) {
+    return respond(404, { error: 'Not found' });
+  }
+  if (action !== 'me' && !canRunCommand(actor.role, API_PERMISSIONS[action])) {
+    return respond(403, { error: `Not available to the ${actor.role} role` });
+  }
+  
+  try {
+    switch (action) {
+      case 'me':
+        return respond(200, {
+          user: actor.user,
+          role: actor.role,
+          permissions: Object.fromEntries(Object.entries(API_PERMISSIONS).map(([name, command]) => [name, canRunCommand(actor.role, command)])),
+          categories: EXPENSE_CATEGORIES,
+          fields: Object.keys(EDITABLE_FIELDS)
+        });
+      
+      case 'list': {
+        const result = await searchLedger(params.q || '');
+        if (result.error) {
+          return respond(400, { error: result.error });
+        }
+        const page = Math.max(parseInt(params.page) || 0, 0);
+        const matches = result.matches.slice(page * API_PAGE_SIZE, (page + 1) * API_PAGE_SIZE);
+        const expenses = matches.map(entry => serializeEntry(entry));
+        return respond(200, { expenses, total: result.matches.length, page, pageSize: API_PAGE_SIZE });
+      }
+      
+      case 'get': {
+        const entry = findEntryById(await getLedgerEntries(await initStorage()), route[1]);
+        if (!entry) {
+          return respond(404, { error: `Entry ${normalizeEntryId(route[1])} not found` });
+        }
+        return respond(200, { expense: serializeEntry(entry, await getReceiptLinks(entry.row)) });
+      }
+      
+      case 'update': {
+        let changes;
+        try {
+          changes = JSON.parse(event.body || '{}');
+        } catch (error) {
+          return respond(400, { error: 'Invalid JSON' });
+        }
+        const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS[field]);
+        if (unknown.length > 0 || Object.keys(changes).length === 0) {
+          return respond(400, { error: `Send one or more of: ${Object.keys(EDITABLE_FIELDS).join(', ')}` });
+        }
+        
+        const result = await editEntryFields(route[1], changes, actor);
+        if (!result.success) {
+          return respond(400, { error: result.error });
+        }
+        const entry = findEntryById(await getLedgerEntries(await initStorage()), route[1]);
+        return respond(200, { expense: serializeEntry(entry), warnings: result.warnings });
+      }
+      
+      case 'delete': {
+        const result = await deleteEntry(route[1], actor);
+        return result.success ? respond(200, result) : respond(400, { error: result.error });
+      }
+      
+      case 'summary': {
+        const period = params.from && params.to
+          ? parseReportPeriod(`${params.from} ${params.to}`)
+          : parseReportPeriod(params.period || 'ytd');
+        if (period.error) {
+          return respond(400, { error: period.error });
+        }
+        return respond(200, await getMonthlySummary(period));
+      }
+    }
+  } catch (error) {
+    console.error('API error:', error);
+    return respond(500, { error: error.message });
+  }
+}
+
+// Telegram sends the secret_token given to setWebhook in this header on every update
+const SECRET_TOKEN_HEADER = 'x-telegram-bot-api-secret-token';
+const BACKGROUND_FUNCTION = 'process-update-background';
+const PROCESSED_UPDATES_TITLE = 'Processed Updates';
+const PROCESSED_UPDATE_HEADERS = ['Update ID', 'Received At', 'Status', 'Claim ID'];
+const PROCESSED_UPDATES_KEEP = 1000;
+const PROCESSED_UPDATES_PRUNE_BATCH = 20;
+const UPDATE_CLAIM_STALE_MS = 15 * 60 * 1000;
+
+// Constant-time comparison of a secret with what a caller sent. Comparing SHA-256 digests keeps both
+// sides the same byte length, which timingSafeEqual requires - non-ASCII input would otherwise throw.
+function safeEqual(value, secret) {
+  const digest = text => crypto.createHash('sha256').update(String(text)).digest();
+  return crypto.timingSafeEqual(digest(value), digest(secret));
+}
+
+// Only calls carrying our secret are from Telegram (or from this webhook handing off to the
+// background function). With no secret configured every call is refused.
+function hasValidSecretToken(event) {
+  if (!TELEGRAM_WEBHOOK_SECRET) {
+    return false;
+  }
+  const headerName = Object.keys(event.headers || {}).find(name => name.toLowerCase() === SECRET_TOKEN_HEADER);
+  const token = headerName ? event.headers[headerName] : '';
+  return safeEqual(token, TELEGRAM_WEBHOOK_SECRET);
+}
+
+// Sheets has no compare-and-set, but appended rows keep their order. Each contender appends its own
+// row and reads the rows back; the first live row for the key wins, and every contender sees the same one.
+async function appendClaim(sheet, keyColumn, values, isLive = () => true) {
+  const claimId = crypto.randomBytes(6).toString('hex').toUpperCase();
+  await sheet.addRow({ ...values, 'Claim ID': claimId });
+  const rows = (await sheet.getRows()).filter(row => row.get(keyColumn) === String(values[keyColumn]));
+  const mine = rows.find(row => row.get('Claim ID') === claimId);
+  const winner = rows.find(row => row === mine || isLive(row));
+  return { won: winner === mine, row: mine, rows };
+}
+
+// An attempt blocks redeliveries once it's done or while it may still be running. One left at
+// "received" past the background function's time limit died without finishing.
+function isLiveUpdateClaim(row) {
+  const status = row.get('Status');
+  const receivedAt = new Date(row.get('Received At')).getTime();
+  return status === 'done' || (status === 'received' && Date.now() - receivedAt < UPDATE_CLAIM_STALE_MS);
+}
+
+// Record an update ID before working on it. Returns false if another attempt already has it - unless
+// that attempt failed or went stale. The oldest rows are trimmed a few at a time so the tab stays small.
+async function claimUpdate(updateId) {
+  if (updateId === undefined || updateId === null) {
+    return true;
+  }
+  
+  const doc = await initStorage();
+  const sheet = await getSheetWithHeaders(doc, PROCESSED_UPDATES_TITLE, PROCESSED_UPDATE_HEADERS);
+  const claim = await appendClaim(sheet, 'Update ID', {
+    'Update ID': updateId,
+    'Received At': new Date().toISOString(),
+    'Status': 'received'
+  }, isLiveUpdateClaim);
+  
+  if (!claim.won) {
+    console.log(`Update ${updateId} was already processed - skipping the redelivery`);
+    claim.row.set('Status', 'duplicate');
+    await claim.row.save();
+    return false;
+  }
+  
+  const rows = await sheet.getRows();
+  const excess = rows.length - PROCESSED_UPDATES_KEEP;
+  if (excess > 0) {
+    // Bottom-up, so deleting a row doesn't shift the ones still to go
+    for (const row of rows.slice(0, Math.min(excess, PROCESSED_UPDATES_PRUNE_BATCH)).reverse()) {
+      await row.delete();
+    }
+  }
+  return true;
+}
+
+// Mark the running attempt at an update "done", or "failed" so Telegram's retry is let through
+async function finishUpdate(updateId, status) {
+  try {
+    const doc = await initStorage();
+    const sheet = doc.sheetsByTitle[PROCESSED_UPDATES_TITLE];
+    const rows = sheet ? await sheet.getRows() : [];
+    for (const row of rows.filter(candidate => candidate.get('Update ID') === String(updateId) &&
+      candidate.get('Status') === 'received' && isLiveUpdateClaim(candidate))) {
+      row.set('Status', status);
+      await row.save();
+    }
   } catch (error) {
-    console.error('Error calculating YTD:', error);
-    return 0;
+    console.error('Error finishing update:', error);
   }
 }
 
-// Send message to Telegram
-async function sendTelegramMessage(chatId, message) {
+// Receipts and statement files mean downloads, OCR and AI calls - too slow to do before answering Telegram
+function needsBackgroundProcessing(update) {
+  const message = update.message;
+  return !!(message && (message.photo || message.document));
+}
+
+// Hand an update to the background function, which Netlify answers with 202 straight away.
+// Returns false when that isn't possible (e.g. running locally) so the caller does it inline.
+async function dispatchToBackground(update) {
+  if (!SITE_URL) {
+    return false;
+  }
+  
   try {
-    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+    const response = await fetch(`${SITE_URL}/.netlify/functions/${BACKGROUND_FUNCTION}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: message,
-        parse_mode: 'HTML'
-      })
+      headers: { 'Content-Type': 'application/json', [SECRET_TOKEN_HEADER]: TELEGRAM_WEBHOOK_SECRET },
+      body: JSON.stringify(update)
     });
+    return response.status === 202;
   } catch (error) {
-    console.error('Error sending Telegram message:', error);
+    console.error('Error dispatching to the background function - processing inline:', error);
+    return false;
   }
 }
 
-// Main Netlify handler
 exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-  };
+  const headers = CORS_HEADERS;
 
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers };
   }
 
+  // Accountant exports over HTTP: GET ?export=qbo&period=ytd&entity=scorp with "Authorization: Bearer <EXPORT_API_KEY>"
+  if (event.httpMethod === 'GET' && event.queryStringParameters?.export) {
+    const authorization = event.headers?.authorization || event.headers?.Authorization || '';
+    const token = authorization.replace(/^Bearer\s+/i, '');
+    const authorized = EXPORT_API_KEY && safeEqual(token, EXPORT_API_KEY);
+    
+    if (!authorized) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+    
+    const params = event.queryStringParameters;
+    const period = parseReportPeriod(params.period || 'ytd');
+    const entity = params.entity ? (params.entity === 'personal' ? 'personal' : normalizeEntity(params.entity)) : null;
+    
+    if (period.error) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: period.error }) };
+    }
+    
+    const result = await generateExport(params.export.toLowerCase(), period, entity);
+    if (!result.success) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: result.error }) };
+    }
+    
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': result.mimeType,
+        'Content-Disposition': `attachment; filename="${result.fileName}"`
+      },
+      body: result.content
+    };
+  }
+
   if (event.httpMethod === 'GET') {
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         status: 'S-Corp Expense Tracker with Firebase Storage is running! 🚀',
-        timestamp: new Date().toISOString(),
-        envCheck: {
-          hasTelegramToken: !!TELEGRAM_TOKEN,
-          hasClaudeKey: !!CLAUDE_API_KEY,
-          hasSheetId: !!SHEET_ID,
-          hasGoogleEmail: !!GOOGLE_CREDENTIALS.client_email,
-          hasGoogleKey: !!GOOGLE_CREDENTIALS.private_key,
-          hasFirebaseBucket: !!FIREBASE_STORAGE_BUCKET,
-          authorizedUsers: AUTHORIZED_CHAT_IDS.length
-        }
+        timestamp: new Date().toISOString()
       })
     };
   }
@@ -410,11 +5335,86 @@ exports.handler = async (event, context) => {
     };
   }
 
+  if (!hasValidSecretToken(event)) {
+    console.error('Rejected a webhook call without a valid secret token');
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+  }
+
+  let update;
+  try {
+    update = JSON.parse(event.body);
+  } catch (error) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON' }) };
+  }
+
+  // Telegram redelivers an update it didn't get a quick 200 for - only the first delivery counts
+  if (!(await claimUpdate(update.update_id))) {
+    return { statusCode: 200, headers, body: JSON.stringify({ status: 'Duplicate update' }) };
+  }
+
+  if (needsBackgroundProcessing(update) && await dispatchToBackground(update)) {
+    return { statusCode: 200, headers, body: JSON.stringify({ status: 'Queued for background processing' }) };
+  }
+
+  return processUpdate(update);
+};
+
+// Handle one Telegram update - inline from the webhook, or from the background function - and
+// record the outcome so a redelivery is skipped once it's done but let through after a failure
+async function processUpdate(update) {
+  const result = await handleUpdate(update);
+  if (update.update_id !== undefined && update.update_id !== null) {
+    await finishUpdate(update.update_id, result.statusCode >= 500 ? 'failed' : 'done');
+  }
+  return result;
+}
+
+async function handleUpdate(update) {
+  const headers = CORS_HEADERS;
+  
   try {
-    const body = JSON.parse(event.body);
-    const { message } = body;
+    const { message, callback_query: callbackQuery } = update;
+    
+    // Inline button presses on expense drafts
+    if (callbackQuery) {
+      const chatId = callbackQuery.message?.chat?.id?.toString();
+      const role = chatId ? getRole(callbackQuery.from?.id, chatId) : null;
+      
+      if (!role) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ status: 'Unauthorized' })
+        };
+      }
+      
+      const actor = { chatId, role, user: callbackQuery.from?.username || callbackQuery.from?.first_name || 'Unknown' };
+      const data = callbackQuery.data || '';
+      const draftAction = data.startsWith('d:') ? data.split(':')[2] : null;
+      
+      // Bookkeepers don't handle drafts and contractors can only save or drop their own
+      const allowed = data.startsWith('a:') ? role === 'owner'
+        : data.startsWith('s:') ? canRunCommand(role, '/search')
+        : draftAction ? role === 'owner' || (role === 'contractor' && ['save', 'cancel'].includes(draftAction))
+        : true;
+      if (!allowed) {
+        await answerCallbackQuery(callbackQuery.id, `🔒 Not available to the ${role} role`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Forbidden' }) };
+      }
+      
+      const status = draftAction ? await handleDraftCallback(callbackQuery, chatId, actor)
+        : data.startsWith('a:') ? await handleApprovalCallback(callbackQuery, chatId, actor)
+        : data.startsWith('s:') ? await handleSearchCallback(callbackQuery, chatId)
+        : 'Unknown callback';
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ status })
+      };
+    }
     
-    if (!message || (!message.text && !message.photo)) {
+    if (!message || (!message.text && !message.photo && !message.document)) {
       return {
         statusCode: 200,
         headers,
@@ -423,10 +5423,11 @@ exports.handler = async (event, context) => {
     }
 
     const chatId = message.chat.id.toString();
-    console.log('🔍 CHAT ID FOR DEBUGGING:', chatId, 'User:', message.from?.first_name || 'Unknown');
     
     const text = message.text || '';
     const photo = message.photo;
+    const role = getRole(message.from?.id, chatId);
+    const actor = { chatId, role, user: message.from?.username || message.from?.first_name || 'Unknown' };
     
     console.log('Message received:', {
       hasText: !!message.text,
@@ -436,7 +5437,7 @@ exports.handler = async (event, context) => {
       captionContent: message.caption
     });
 
-    if (!AUTHORIZED_CHAT_IDS.includes(chatId)) {
+    if (!role) {
       return {
         statusCode: 200,
         headers,
@@ -444,19 +5445,82 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // Commands and submissions each role isn't allowed
+    const submission = text.startsWith('/') ? null
+      : message.document && isStatementFile(message.document) ? 'statement'
+      : photo || message.document ? 'receipt'
+      : looksLikeQuestion(text) ? 'question'
+      : 'expense';
+    if (submission ? !canSubmit(role, submission) : !canRunCommand(role, text)) {
+      await sendTelegramMessage(chatId, `🔒 That isn't available to the ${role} role. Send /start to see what you can do.`);
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Forbidden' }) };
+    }
+
     // Handle commands
+    if (text === '/start' && role === 'contractor') {
+      await sendTelegramMessage(chatId,
+        `🛠️ <b>Log Your Work</b>\n\n` +
+        `• Text: "Mowed the lawn at the rental, 3 hours, $60"\n` +
+        `• Or send a photo or PDF of your invoice 📸\n` +
+        `• Review the draft, then tap ✅ Save\n\n` +
+        `⏳ Entries are recorded as Family LLC contract labor and count once the owner approves them`
+      );
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Start message sent' }) };
+    }
+
+    if (text === '/start' && role === 'bookkeeper') {
+      await sendTelegramMessage(chatId,
+        `📚 <b>Bookkeeper Access</b>\n\n` +
+        `• Ask: "How much did the S-Corp spend on travel in Q2?" 📊\n` +
+        `• /recent - View recent expenses\n` +
+        `• /search [words] [vendor: category: entity: from: to: min: max: has:receipt] - Find entries\n` +
+        `• /receipt [ID] [link] - Get an entry's receipt (or a 15-minute link)\n` +
+        `• /duplicates - Possible duplicates that were flagged\n` +
+        `• /budget status - Spending against each budget\n` +
+        `• /recurring list - Scheduled expenses\n` +
+        `• /rate - Exchange rates on file\n` +
+        `• /ytd [year] - Year-to-date totals\n` +
+        `• /report [month|quarter|ytd|2025-03|from to] - Spending report + CSV\n` +
+        `• /export [qbo|iif|xero|lines] [period] [entity] - Accountant export\n` +
+        `• /dashboard - Log in to the web dashboard 🖥️\n\n` +
+        `🔒 Read-only - ask the owner to change entries`
+      );
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Start message sent' }) };
+    }
+
     if (text === '/start') {
       await sendTelegramMessage(chatId, 
         `🏢 <b>S-Corp Expense Tracker Ready!</b>\n\n` +
         `💰 <b>Add Expenses:</b>\n` +
         `• Text: "Client lunch $85"\n` +
-        `• Photo: Send receipt images 📸\n\n` +
+        `• Receipts: Send a photo, an album of pages, an image file or a PDF invoice 📸\n` +
+        `• Review the draft, then tap ✅ Save\n` +
+        `• Statements: Send a bank/card CSV, OFX or QFX file 🏦\n` +
+        `• Ask: "How much did the S-Corp spend on travel in Q2?" 📊\n\n` +
         `📊 <b>View & Edit:</b>\n` +
         `• /recent - View recent expenses\n` +
-        `• /edit [#] [new description] - Edit entry\n` +
-        `• /note [#] [additional notes] - Add notes\n` +
-        `• /ytd - Year-to-date totals\n\n` +
-        `🔥 <b>New:</b> Receipts now stored in Firebase! 🚀`
+        `• /search [words] [vendor: category: entity: from: to: min: max: has:receipt] - Find entries\n` +
+        `• /edit [ID] [field] [value] - Edit any field\n` +
+        `   (amount, vendor, category, entity, deductible, date, business type, description,\n` +
+        `   currency, rate, original amount)\n` +
+        `• /note [ID] [additional notes] - Add notes\n` +
+        `• /date [ID] [date] - Correct the transaction date\n` +
+        `• /delete [ID] - Delete an entry (kept in the audit log)\n` +
+        `• /split [ID] [parts] - Split a mixed receipt, e.g. /split A7F3 45 supplies; rest personal\n` +
+        `• /undo - Undo your last add, edit or delete\n` +
+        `• /pending - Contractor entries waiting for your approval ⏳\n` +
+        `• /receipt [ID] [link] - Get an entry's receipt (or a 15-minute link)\n` +
+        `• /duplicates - Possible duplicates that were flagged\n` +
+        `• /mileage [miles|start-end] [round trip] [purpose] - Log business miles 🚗\n` +
+        `• /recurring add|list|remove - Expenses posted automatically on a schedule 🔁\n` +
+        `• /budget set [category] [amount] [month|quarter|year] - Spending limits 💸\n` +
+        `• /budget status - Spending against each budget\n` +
+        `• /rate [currency] [USD value] [date] - Exchange rates for foreign receipts 💱\n` +
+        `• /ytd [year] - Year-to-date totals\n` +
+        `• /report [month|quarter|ytd|2025-03|from to] - Spending report + CSV\n` +
+        `• /export [qbo|iif|xero|lines] [period] [entity] - Accountant export\n` +
+        `• /dashboard - Log in to the web dashboard 🖥️\n\n` +
+        `🔒 Receipts are stored privately in Firebase`
       );
       return {
         statusCode: 200,
@@ -465,15 +5529,24 @@ exports.handler = async (event, context) => {
       };
     }
 
-    if (text === '/ytd') {
-      const ytdTotal = await calculateYTDPayments();
-      const remaining = STANDARD_DEDUCTION_2025 - ytdTotal;
-      await sendTelegramMessage(chatId,
-        `💰 <b>Son's YTD Payments:</b>\n` +
+    if (text === '/ytd' || text.startsWith('/ytd ')) {
+      const year = parseInt(text.split(' ')[1]) || new Date().getFullYear();
+      const rules = getTaxYearRules(year);
+      const ytdTotal = await calculateYTDPayments(year);
+      const remaining = rules.standardDeduction - ytdTotal;
+      let response = `💰 <b>Son's ${year} Payments:</b>\n` +
         `Paid: $${ytdTotal.toFixed(2)}\n` +
         `Remaining under std deduction: $${remaining.toFixed(2)}\n` +
-        `Standard deduction limit: $${STANDARD_DEDUCTION_2025}`
-      );
+        `Standard deduction limit: $${rules.standardDeduction}`;
+      const mileage = await calculateMileageTotals(`${year}-01-01`, `${year}-12-31`);
+      if (mileage.trips > 0) {
+        response += `\n\n🚗 <b>${year} Business Mileage:</b>\n${formatMileageTotals(mileage)}\n` +
+          `IRS rate: $${rules.mileageRate}/mi`;
+      }
+      if (rules.estimated) {
+        response += `\n⚠️ No ${year} figures on file - using ${rules.basedOn}`;
+      }
+      await sendTelegramMessage(chatId, response);
       return {
         statusCode: 200,
         headers,
@@ -481,18 +5554,230 @@ exports.handler = async (event, context) => {
       };
     }
 
+    if (text === '/mileage' || text.startsWith('/mileage ')) {
+      const trip = parseMileageArguments(text.slice('/mileage'.length));
+      
+      if (trip.error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(trip.error)}`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid mileage command' }) };
+      }
+      
+      const result = await logMileage(trip, actor);
+      if (result.success) {
+        const year = result.date.slice(0, 4);
+        const totals = await calculateMileageTotals(`${year}-01-01`, `${year}-12-31`);
+        let response = `🚗 <b>Trip Logged!</b>\n\n` +
+          `🆔 Trip: ${result.tripId}\n` +
+          `📅 Date: ${result.date}\n` +
+          `🛣️ Miles: ${result.miles}${trip.roundTrip ? ' (round trip)' : ''}` +
+          `${trip.odometerStart !== null ? ` - odometer ${trip.odometerStart} → ${trip.odometerEnd}` : ''}\n` +
+          `📝 Purpose: ${escapeHtml(trip.purpose)}\n` +
+          `💵 Reimbursable: $${result.amount.toFixed(2)} at $${result.rate}/mi\n\n` +
+          `📈 ${year} so far: ${formatMileageTotals(totals)}`;
+        result.warnings.forEach(warning => {
+          response += `\n⚠️ ${escapeHtml(warning)}`;
+        });
+        await sendTelegramMessage(chatId, response);
+      } else {
+        await sendTelegramMessage(chatId, `❌ Error logging trip: ${escapeHtml(result.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Mileage processed' }) };
+    }
+
+    if (text === '/recurring' || text.startsWith('/recurring ')) {
+      const [subcommand = '', ...rest] = text.slice('/recurring'.length).trim().split(/\s+/);
+      const args = rest.join(' ');
+      
+      if (subcommand === 'add') {
+        const result = await addRecurringTemplate(chatId, args);
+        if (result.success) {
+          const { template } = result;
+          await sendTelegramMessage(chatId, `🔁 <b>Recurring Expense Added</b>\n\n` +
+            `🆔 Template: ${template['Template ID']}\n` +
+            `💰 Amount: $${template['Amount']}\n` +
+            `🏪 Vendor: ${escapeHtml(template['Vendor'])}\n` +
+            `📂 Category: ${escapeHtml(template['Category'])}\n` +
+            `🏢 Entity: ${(template['Entity'] || '').toUpperCase()}\n` +
+            `🗓️ Schedule: ${describeSchedule(template['Frequency'], template['Day'])}\n` +
+            `⏭️ First posting: ${template['Next Due']}`
+          );
+        } else {
+          await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
+        }
+      } else if (subcommand === 'list') {
+        const templates = await getRecurringTemplates();
+        if (templates.length === 0) {
+          await sendTelegramMessage(chatId, '🔁 No recurring expenses yet.\n\n' + RECURRING_USAGE);
+        } else {
+          let response = '🔁 <b>Recurring Expenses:</b>\n\n';
+          templates.forEach(row => {
+            response += `<b>${row.get('Template ID')}</b> ${escapeHtml(row.get('Vendor'))} - $${escapeHtml(row.get('Amount'))} · ${escapeHtml(row.get('Category'))}\n`;
+            response += `   🗓️ ${describeSchedule(row.get('Frequency'), row.get('Day'))} · next ${row.get('Next Due')}\n`;
+          });
+          await sendTelegramMessage(chatId, response);
+        }
+      } else if (subcommand === 'remove' && args) {
+        const result = await removeRecurringTemplate(args);
+        await sendTelegramMessage(chatId, result.success
+          ? `🛑 Stopped recurring expense ${result.template['Template ID']} (${escapeHtml(result.template['Vendor'])} - $${result.template['Amount']}). Entries already posted are kept.`
+          : `❌ ${escapeHtml(result.error)}`);
+      } else {
+        await sendTelegramMessage(chatId, RECURRING_USAGE);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Recurring processed' }) };
+    }
+
+    if (text === '/budget' || text.startsWith('/budget ')) {
+      const [subcommand = '', ...rest] = text.slice('/budget'.length).trim().split(/\s+/);
+      
+      if (subcommand === 'set') {
+        const budget = parseBudgetArguments(rest.join(' '));
+        if (budget.error) {
+          await sendTelegramMessage(chatId, `❌ ${escapeHtml(budget.error)}`);
+        } else {
+          const result = await setBudget(budget, actor);
+          const label = `${budget.category} (${ENTITY_LABELS[budget.entity]})`;
+          await sendTelegramMessage(chatId, budget.amount === 0
+            ? (result.removed ? `🗑️ Removed the ${label} budget` : `ℹ️ There was no ${label} budget to remove`)
+            : `💸 Budget set: ${label} $${budget.amount.toFixed(2)} per ${budget.period}\nYou'll be warned at 75% and 100%.`);
+        }
+      } else if (subcommand === 'status') {
+        const statuses = await getBudgetStatus();
+        if (statuses.length === 0) {
+          await sendTelegramMessage(chatId, '💸 No budgets set yet.\n\n' + BUDGET_USAGE);
+        } else {
+          let response = '💸 <b>Budgets:</b>\n\n';
+          statuses.forEach(status => {
+            const percent = Math.round(status.spent / status.amount * 100);
+            const flag = percent >= 100 ? ' 🚨' : percent >= BUDGET_ALERT_LEVELS[0] * 100 ? ' ⚠️' : '';
+            response += `<b>${status.category}</b> (${ENTITY_LABELS[status.entity]})${flag}\n`;
+            response += `   $${status.spent.toFixed(2)} of $${status.amount.toFixed(2)} · ${percent}% · ${status.window.label}\n`;
+          });
+          await sendTelegramMessage(chatId, response);
+        }
+      } else {
+        await sendTelegramMessage(chatId, BUDGET_USAGE);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Budget processed' }) };
+    }
+
+    if (text === '/rate' || text.startsWith('/rate ')) {
+      const [currencyText, rateText, dateText] = text.slice('/rate'.length).trim().split(/\s+/).filter(Boolean);
+      
+      if (!currencyText) {
+        const rates = await getExchangeRateList();
+        let response = '💱 <b>Exchange rates (USD per unit):</b>\n\n';
+        rates.forEach(rate => {
+          response += `<b>${escapeHtml(rate.currency)}</b> ${rate.rate} · ${escapeHtml(rate.source)}${rate.stale ? ' ⚠️ out of date' : ''}\n`;
+        });
+        await sendTelegramMessage(chatId, `${response}\n${RATE_USAGE}`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Rates sent' }) };
+      }
+      
+      const currency = normalizeCurrency(currencyText);
+      const rate = parseFloat(rateText);
+      const date = dateText ? parseTransactionDate(dateText) : formatDate(new Date());
+      if (!currency || currency === 'USD' || !(rate > 0) || !date) {
+        await sendTelegramMessage(chatId, `❌ Couldn't read that rate.\n\n${RATE_USAGE}`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid rate command' }) };
+      }
+      
+      await setExchangeRate(currency, rate, date, actor);
+      await sendTelegramMessage(chatId, `💱 1 ${currency} = $${rate} from ${date}\nExisting entries keep their rate - change one with /edit [ID] rate [value]`);
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Rate set' }) };
+    }
+
+    if (text === '/report' || text.startsWith('/report ')) {
+      const period = parseReportPeriod(text.slice('/report'.length));
+      
+      if (period.error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(period.error)}`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid report command' }) };
+      }
+      
+      const report = await generateReport(period);
+      if (report.success) {
+        await sendTelegramMessage(chatId, formatReportMessage(report));
+        if (report.summary.count > 0) {
+          await sendTelegramDocument(chatId, `report-${period.from}-to-${period.to}.csv`, report.csv, `📎 ${report.summary.count} expenses, ${period.label}`);
+        }
+      } else {
+        await sendTelegramMessage(chatId, `❌ Error building report: ${escapeHtml(report.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Report sent' }) };
+    }
+
+    if (text === '/export' || text.startsWith('/export ')) {
+      const { format, entity, period } = parseExportArguments(text.slice('/export'.length));
+      
+      if (!EXPORT_FORMATS.includes(format) || period.error) {
+        await sendTelegramMessage(chatId,
+          `❌ ${escapeHtml(period.error || 'Usage: /export [format] [period] [entity]')}\n` +
+          `Formats: qbo (QuickBooks Online CSV), iif (QuickBooks Desktop), xero (Xero CSV), lines (1120-S / Schedule C totals)\n` +
+          `Example: /export qbo 2025 scorp`
+        );
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid export command' }) };
+      }
+      
+      const result = await generateExport(format, period, entity);
+      if (result.success) {
+        const { summary } = result;
+        await sendTelegramDocument(chatId, result.fileName, result.content,
+          `📤 ${format.toUpperCase()} export - ${period.label}${entity ? ` (${ENTITY_LABELS[entity]})` : ' (S-Corp + Family LLC)'}\n` +
+          `${summary.count} expenses · $${summary.gross.toFixed(2)} gross · $${summary.deductible.toFixed(2)} deductible\n` +
+          `Matches the ${entity ? ENTITY_LABELS[entity] : 'S-Corp and Family LLC'} lines of /report ${period.from} ${period.to}`,
+          result.mimeType
+        );
+      } else {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Export sent' }) };
+    }
+
+    if (text === '/receipt' || text.startsWith('/receipt ')) {
+      const [entryId, mode] = text.slice('/receipt'.length).trim().split(/\s+/);
+      const result = entryId
+        ? await sendEntryReceipts(chatId, entryId, mode === 'link')
+        : { success: false, error: 'Usage: /receipt [ID] - add "link" for a short-lived link instead of the file' };
+      if (!result.success) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Receipt processed' }) };
+    }
+
+    if (text === '/duplicates') {
+      const flags = await getDuplicateFlags();
+      if (flags.length === 0) {
+        await sendTelegramMessage(chatId, '👯 No possible duplicates have been flagged.');
+      } else {
+        let response = '👯 <b>Flagged Duplicates:</b>\n\n';
+        flags.forEach(flag => {
+          const outcome = flag['Resolution'] === 'kept both' && flag['New Entry']
+            ? `kept both (new entry ${flag['New Entry']})`
+            : flag['Resolution'];
+          response += `${escapeHtml(flag['Vendor'])} $${escapeHtml(flag['Amount'])} on ${escapeHtml(flag['Date'])} ↔ <b>${flag['Existing Entry']}</b>\n`;
+          response += `   ${escapeHtml(flag['Reason'])} · ${escapeHtml(outcome)}\n`;
+        });
+        response += `\n💡 Use /delete [ID] to remove an entry that was logged twice`;
+        await sendTelegramMessage(chatId, response);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Duplicates sent' }) };
+    }
+
     if (text === '/recent') {
       const recentEntries = await getRecentEntries();
       if (recentEntries.length === 0) {
         await sendTelegramMessage(chatId, '📋 No recent entries found.');
       } else {
         let response = '📋 <b>Recent Expenses:</b>\n\n';
-        recentEntries.forEach((entry, index) => {
-          response += `<b>${index + 1}.</b> ${entry.date} - ${entry.vendor} - $${entry.amount}\n`;
-          response += `   📂 ${entry.category} (${entry.deductibilityPercentage}% deductible)\n`;
-          response += `   📝 ${entry.description}\n\n`;
+        recentEntries.forEach(entry => {
+          const marker = entry.split ? ' ✂️ split' : entry.parentEntryId ? ` ✂️ part of ${entry.parentEntryId}` : '';
+          const flag = entry.pendingApproval ? ' ⏳ awaiting approval' : entry.needsReview ? ' 🔎 needs review' : '';
+          response += `<b>${entry.entryId}</b> ${escapeHtml(entry.date)} - ${escapeHtml(entry.vendor)} - $${escapeHtml(entry.amount)}${flag}${marker}\n`;
+          response += `   📂 ${escapeHtml(entry.category)} (${escapeHtml(entry.deductibilityPercentage)}% deductible) · ${entry.ledger}\n`;
+          response += `   📝 ${escapeHtml(entry.description)}\n\n`;
         });
-        response += `💡 Use /edit [#] or /note [#] to modify entries`;
+        response += `💡 Use /edit [ID] [field] [value] or /note [ID] to modify entries`;
         await sendTelegramMessage(chatId, response);
       }
       return {
@@ -502,22 +5787,49 @@ exports.handler = async (event, context) => {
       };
     }
 
+    if (text === '/search' || text.startsWith('/search ')) {
+      const query = text.slice('/search'.length).trim();
+      if (!query) {
+        await sendTelegramMessage(chatId, SEARCH_USAGE);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Search usage sent' }) };
+      }
+      
+      const result = await searchLedger(query);
+      if (result.error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}\n\n${SEARCH_USAGE}`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Search failed' }) };
+      }
+      
+      const searchId = await saveSearch(chatId, query);
+      const { text: response, keyboard } = formatSearchPage(searchId, query, result.matches, 0);
+      await sendTelegramMessage(chatId, response, keyboard ? { reply_markup: keyboard } : {});
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Search results sent' }) };
+    }
+
     // Handle edit commands
     if (text.startsWith('/edit ')) {
       const parts = text.split(' ');
-      const entryNumber = parseInt(parts[1]);
-      const newDescription = parts.slice(2).join(' ');
+      const entryId = parts[1];
+      const { field, value } = parseEditArguments(parts.slice(2).join(' '));
       
-      if (!entryNumber || !newDescription) {
-        await sendTelegramMessage(chatId, '❌ Usage: /edit [number] [new description]\nExample: /edit 3 Updated expense description');
+      if (!entryId || !value) {
+        await sendTelegramMessage(chatId,
+          '❌ Usage: /edit [ID] [field] [new value]\n' +
+          'Fields: amount, vendor, category, entity, deductible, date, business type, description, currency, rate, original amount\n' +
+          'Example: /edit A7F3 amount 84.50'
+        );
         return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid edit command' }) };
       }
 
-      const result = await editEntry(entryNumber, 'description', newDescription);
+      const result = await editEntry(entryId, field, value, actor);
       if (result.success) {
-        await sendTelegramMessage(chatId, `✅ Updated entry #${entryNumber} description`);
+        let response = `✅ Updated entry ${result.entryId} ${field}: ${escapeHtml(result.oldValue || '(blank)')} → ${escapeHtml(result.newValue)}`;
+        result.warnings.forEach(warning => {
+          response += `\n⚠️ ${escapeHtml(warning)}`;
+        });
+        await sendTelegramMessage(chatId, response);
       } else {
-        await sendTelegramMessage(chatId, `❌ ${result.error}`);
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
       }
       return { statusCode: 200, headers, body: JSON.stringify({ status: 'Edit processed' }) };
     }
@@ -525,148 +5837,163 @@ exports.handler = async (event, context) => {
     // Handle note commands
     if (text.startsWith('/note ')) {
       const parts = text.split(' ');
-      const entryNumber = parseInt(parts[1]);
+      const entryId = parts[1];
       const additionalNotes = parts.slice(2).join(' ');
       
-      if (!entryNumber || !additionalNotes) {
-        await sendTelegramMessage(chatId, '❌ Usage: /note [number] [additional notes]\nExample: /note 3 This was for the client meeting');
+      if (!entryId || !additionalNotes) {
+        await sendTelegramMessage(chatId, '❌ Usage: /note [ID] [additional notes]\nExample: /note A7F3 This was for the client meeting');
         return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid note command' }) };
       }
 
-      const result = await editEntry(entryNumber, 'notes', additionalNotes);
+      const result = await editEntry(entryId, 'notes', additionalNotes, actor);
       if (result.success) {
-        await sendTelegramMessage(chatId, `✅ Added note to entry #${entryNumber}`);
+        await sendTelegramMessage(chatId, `✅ Added note to entry ${result.entryId}`);
       } else {
-        await sendTelegramMessage(chatId, `❌ ${result.error}`);
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
       }
       return { statusCode: 200, headers, body: JSON.stringify({ status: 'Note processed' }) };
     }
 
-    // Handle photo receipts
-    if (photo && photo.length > 0) {
-      const caption = message.caption || '';
-      
-      console.log('Processing photo with caption info:', {
-        hasCaption: !!message.caption,
-        captionText: message.caption,
-        captionLength: message.caption ? message.caption.length : 0
-      });
+    // Handle date corrections (shorthand for /edit [ID] date)
+    if (text.startsWith('/date ')) {
+      const parts = text.split(' ');
+      const entryId = parts[1];
+      const newDate = parts.slice(2).join(' ');
       
-      await sendTelegramMessage(chatId, `📸 Processing your receipt${caption ? ' with notes' : ''}... 🔥 Uploading to Firebase!`);
+      if (!entryId || !newDate) {
+        await sendTelegramMessage(chatId, '❌ Usage: /date [ID] [date]\nExample: /date A7F3 2025-03-14 or /date A7F3 yesterday');
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid date command' }) };
+      }
+
+      const result = await editEntry(entryId, 'date', newDate, actor);
+      if (result.success) {
+        let response = `✅ Updated entry ${result.entryId} date to ${escapeHtml(result.newValue)}`;
+        result.warnings.forEach(warning => {
+          response += `\n⚠️ ${escapeHtml(warning)}`;
+        });
+        await sendTelegramMessage(chatId, response);
+      } else {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Date processed' }) };
+    }
+
+    // Handle delete commands
+    if (text.startsWith('/delete ')) {
+      const entryId = text.split(' ')[1];
       
-      try {
-        // Get the largest photo
-        const largestPhoto = photo[photo.length - 1];
-        
-        // Download photo from Telegram
-        const fileResponse = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/getFile?file_id=${largestPhoto.file_id}`);
-        const fileData = await fileResponse.json();
-        
-        if (!fileData.ok) {
-          throw new Error('Could not get file info from Telegram');
-        }
-        
-        const fileUrl = `https://api.telegram.org/file/bot${TELEGRAM_TOKEN}/${fileData.result.file_path}`;
-        const imageResponse = await fetch(fileUrl);
-        const imageBuffer = await imageResponse.arrayBuffer();
-        
-        // Process with Google Vision OCR and save to Firebase
-        const fileName = `receipt-${Date.now()}-${largestPhoto.file_id}.jpg`;
-        const ocrResult = await processReceiptOCR(imageBuffer, fileName, largestPhoto);
-        
-        if (!ocrResult.text) {
-          await sendTelegramMessage(chatId, '❌ Could not extract text from receipt. Please try a clearer photo or enter manually.');
-          return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ status: 'OCR failed' })
-          };
-        }
-        
-        console.log('OCR extracted text:', ocrResult.text);
-        console.log('Firebase upload status:', ocrResult.imageUrl ? 'SUCCESS' : 'FAILED');
-        console.log('Caption provided:', caption);
-        
-        // Create the description for Claude - include caption in a clear way
-        let descriptionForClaude = `Receipt text: ${ocrResult.text}`;
-        if (caption && caption.trim().length > 0) {
-          descriptionForClaude += `\n\nAdditional context: ${caption.trim()}`;
-        }
-        
-        console.log('Combined text for Claude:', descriptionForClaude);
-        
-        // Process with Claude
-        const expenseData = await processExpenseWithAI(descriptionForClaude);
-        
-        if (!expenseData) {
-          await sendTelegramMessage(chatId, '❌ Could not categorize the receipt. Please try entering manually.');
-          return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ status: 'Processing failed' })
-          };
-        }
-        
-        console.log('Receipt expense data processed:', expenseData);
-        
-        // If there was a caption, add it to the description
-        if (caption && caption.trim().length > 0) {
-          console.log('Adding caption to description:', caption);
-          expenseData.suggestedDescription = `${expenseData.suggestedDescription} - ${caption.trim()}`;
-          console.log('Updated description:', expenseData.suggestedDescription);
-        } else {
-          console.log('No caption to add or caption is empty');
+      if (!entryId) {
+        await sendTelegramMessage(chatId, '❌ Usage: /delete [ID]\nExample: /delete A7F3');
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid delete command' }) };
+      }
+
+      const result = await deleteEntry(entryId, actor);
+      if (result.success) {
+        let response = `🗑️ Deleted entry ${result.entryId} (${escapeHtml(result.vendor)} - $${escapeHtml(result.amount)})`;
+        if (result.linkedEntryId) {
+          response += `\n🔗 Linked entry ${result.linkedEntryId} was deleted too`;
         }
-        
-        // Add Firebase receipt URL to expense data
-        if (ocrResult.imageUrl) {
-          expenseData.receiptUrl = ocrResult.imageUrl;
-          console.log('Added Firebase receipt URL to expense data:', ocrResult.imageUrl);
-        } else {
-          console.log('No Firebase receipt URL available - upload may have failed');
-          expenseData.receiptUrl = '';
+        response += `\n💡 Use /undo to restore it`;
+        await sendTelegramMessage(chatId, response);
+      } else {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Delete processed' }) };
+    }
+
+    if (text === '/split' || text.startsWith('/split ')) {
+      const parsed = parseSplitArguments(text.slice('/split'.length));
+      if (parsed.error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(parsed.error)}\n\n${SPLIT_USAGE}`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Invalid split command' }) };
+      }
+      
+      const result = await splitEntry(parsed.entryId, parsed.parts, actor);
+      if (result.success) {
+        let response = `✂️ <b>Split entry ${result.entryId}</b> - ${escapeHtml(result.vendor)} $${result.amount.toFixed(2)}\n\n`;
+        result.parts.forEach(part => {
+          response += `• <b>${part.entryId}</b> $${part.amount.toFixed(2)} · ${escapeHtml(part.category)} · ${part.ledger}\n`;
+        });
+        if (result.replaced > 0) {
+          response += `\n♻️ Replaced the previous ${result.replaced} parts`;
         }
-        
-        console.log('Final expense data being saved:', expenseData);
-        
-        const result = await addExpenseToSheet(expenseData);
-        
-        if (result.success) {
-          let response = `📸 <b>Receipt Processed!</b>\n\n` +
-            `💰 Amount: ${expenseData.amount}\n` +
-            `🏪 Vendor: ${expenseData.vendor}\n` +
-            `📂 Category: ${expenseData.category}\n` +
-            `🏢 Entity: ${expenseData.entityType.toUpperCase()}\n` +
-            `📊 Tax Deductible: ${expenseData.deductibilityPercentage}%\n` +
-            `📝 Notes: ${expenseData.taxNotes}`;
-          
-          if (caption && caption.trim().length > 0) {
-            response += `\n💬 Your notes: "${caption.trim()}" (added to description)`;
-          }
-          
-          if (ocrResult.imageUrl) {
-            response += `\n🔥 <b>Receipt stored in Firebase!</b>\n📎 <a href="${ocrResult.imageUrl}">View Receipt</a>`;
-          } else {
-            response += `\n❌ Receipt upload failed - saved text only`;
-          }
-          
-          response += `\n\n📋 Extracted: ${ocrResult.text.substring(0, 60)}...`;
+        result.budgetWarnings.forEach(warning => {
+          response += `\n💸 ${warning.text}`;
+        });
+        response += `\n💡 Use /undo to put it back together`;
+        await sendTelegramMessage(chatId, response);
+      } else {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Split processed' }) };
+    }
 
-          await sendTelegramMessage(chatId, response);
-          console.log('Success message sent to Telegram');
-        } else {
-          await sendTelegramMessage(chatId, `❌ Error saving receipt: ${result.error}`);
+    if (text === '/dashboard') {
+      const userId = message.from?.id || chatId;
+      await sendTelegramMessage(chatId, DASHBOARD_SECRET && SITE_URL
+        ? `🖥️ <a href="${SITE_URL}/dashboard.html#token=${createDashboardToken(userId, actor)}">Open the dashboard</a>\n` +
+          `The link logs you in as ${escapeHtml(actor.user)} (${role}) for ${DASHBOARD_SESSION_DAYS} days - don't share it`
+        : '❌ The dashboard isn\'t set up - set DASHBOARD_SECRET in Netlify');
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Dashboard link sent' }) };
+    }
+
+    if (text === '/pending') {
+      const pending = await getPendingApprovals();
+      if (pending.length === 0) {
+        await sendTelegramMessage(chatId, '⏳ Nothing is waiting for approval.');
+      } else {
+        for (const row of pending) {
+          await sendTelegramMessage(chatId, formatApprovalRequest(row), { reply_markup: approvalKeyboard(row.get('Entry ID')) });
         }
-        
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ status: 'Receipt processed successfully' })
-        };
-        
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Pending approvals sent' }) };
+    }
+
+    if (text === '/undo') {
+      const result = await undoLastChange(actor);
+      if (result.success) {
+        const undone = { add: 'Removed', edit: 'Reverted the edit to', delete: 'Restored', merge: 'Detached the merged receipt from', split: 'Undid the split of' }[result.action];
+        await sendTelegramMessage(chatId, `↩️ ${undone} entry ${result.entryId}`);
+      } else {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(result.error)}`);
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Undo processed' }) };
+    }
+
+    // Handle bank and card statements sent as files
+    if (message.document && isStatementFile(message.document)) {
+      try {
+        const status = await processStatementImport(chatId, message.document);
+        return { statusCode: 200, headers, body: JSON.stringify({ status }) };
+      } catch (error) {
+        console.error('Error importing statement:', error);
+        await sendTelegramMessage(chatId, `❌ Error importing statement: ${escapeHtml(error.message)}`);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Import error' }) };
+      }
+    }
+
+    if (message.document && !isReceiptFile(message.document)) {
+      await sendTelegramMessage(chatId, '❌ Unsupported file. Send a bank or card statement as CSV, OFX or QFX, or a receipt as a photo, image or PDF.');
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'Unsupported document' }) };
+    }
+
+    // Handle receipts - photos, image files and PDF invoices, alone or as an album
+    if ((photo && photo.length > 0) || message.document) {
+      const caption = message.caption || '';
+      // Use the largest photo size
+      const fileId = message.document ? message.document.file_id : photo[photo.length - 1].file_id;
+      
+      // Album pages arrive as separate updates - only the captioned one is acknowledged
+      if (!message.media_group_id || caption) {
+        await sendTelegramMessage(chatId, `📸 Processing your receipt${message.media_group_id ? ' pages' : ''}${caption ? ' with notes' : ''}... 🔥 Uploading to Firebase!`);
+      }
+      
+      try {
+        const status = await processReceiptFile(chatId, message, fileId, actor);
+        return { statusCode: 200, headers, body: JSON.stringify({ status }) };
       } catch (error) {
         console.error('Error processing receipt:', error);
-        await sendTelegramMessage(chatId, `❌ Error processing receipt photo: ${error.message}`);
+        await sendTelegramMessage(chatId, `❌ Error processing receipt: ${escapeHtml(error.message)}`);
         return {
           statusCode: 200,
           headers,
@@ -675,11 +6002,24 @@ exports.handler = async (event, context) => {
       }
     }
 
+    // Questions about spending are answered from the ledger instead of being logged
+    if (submission === 'question') {
+      const answer = await answerSpendingQuestion(text);
+      if (answer.type === 'question') {
+        await sendTelegramMessage(chatId, answer.text);
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Question answered' }) };
+      }
+      if (!canSubmit(role, 'expense')) {
+        await sendTelegramMessage(chatId, '❓ I couldn\'t read that as a question about spending. Try "How much did the S-Corp spend on travel in Q2?"');
+        return { statusCode: 200, headers, body: JSON.stringify({ status: 'Question not understood' }) };
+      }
+    }
+
     // Handle regular text expenses (only if no photo was sent and not a command)
     if (text && typeof text === 'string' && !photo && !text.startsWith('/')) {
       await sendTelegramMessage(chatId, '🤖 Processing your expense...');
       
-      const expenseData = await processExpenseWithAI(text);
+      const expenseData = await categorizeExpense(text);
       
       if (!expenseData) {
         await sendTelegramMessage(chatId, '❌ Sorry, I couldn\'t process that expense. Please try again.');
@@ -690,26 +6030,15 @@ exports.handler = async (event, context) => {
         };
       }
 
-      const result = await addExpenseToSheet(expenseData);
-      
-      if (result.success) {
-        let response = `✅ <b>Expense Added!</b>\n\n` +
-          `💰 Amount: $${expenseData.amount}\n` +
-          `🏪 Vendor: ${expenseData.vendor}\n` +
-          `📂 Category: ${expenseData.category}\n` +
-          `🏢 Entity: ${expenseData.entityType.toUpperCase()}\n` +
-          `📊 Tax Deductible: ${expenseData.deductibilityPercentage}%\n` +
-          `📝 Notes: ${expenseData.taxNotes}`;
-
-        await sendTelegramMessage(chatId, response);
-      } else {
-        await sendTelegramMessage(chatId, `❌ Error saving expense: ${result.error}`);
+      if (role === 'contractor') {
+        applyContractorRules(expenseData, actor);
       }
+      await sendExpenseDraft(chatId, { source: 'text', expense: expenseData });
 
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ status: 'Processed successfully' })
+        body: JSON.stringify({ status: 'Draft sent' })
       };
     }
 
@@ -727,4 +6056,11 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({ error: error.message })
     };
   }
-};
+}
+
+// Shared with the scheduled recurring-expenses function and the scripts/ folder
+exports.postDueRecurringExpenses = postDueRecurringExpenses;
+exports.makeReceiptsPrivate = makeReceiptsPrivate;
+exports.hasValidSecretToken = hasValidSecretToken;
+exports.processUpdate = processUpdate;
+exports.handleApiRequest = handleApiRequest;
@@ -0,0 +1,14 @@
+// Copy the Google Sheet into the local JSON store (the STORAGE_BACKEND=local format).
+// Usage: node scripts/backup-sheet.js [output.json]
+// Needs the same SHEET_ID / GOOGLE_CLIENT_EMAIL / GOOGLE_PRIVATE_KEY as the webhook.
+const path = require('path');
+const { backupSheetToLocal } = require('../netlify/functions/lib/storage');
+
+(async () => {
+  const filePath = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+  const tabs = await backupSheetToLocal(filePath);
+  tabs.forEach(({ title, rows }) => console.log(`${title}: ${rows} rows`));
+})().catch(error => {
+  console.error('Backup failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+// One-time migration: receipts used to be uploaded with makePublic() and their public links
+// written to the sheet. This makes every file under receipts/ private again and replaces the
+// links in the ledger with object paths, which /receipt understands.
+// Usage: node scripts/make-receipts-private.js [--dry-run]
+// Needs the same Google / Firebase environment variables as the webhook.
+const { makeReceiptsPrivate } = require('../netlify/functions/webhook');
+
+(async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const { filesUpdated, rowsUpdated } = await makeReceiptsPrivate({ dryRun });
+  console.log(`${dryRun ? 'Would make' : 'Made'} ${filesUpdated} receipt files private`);
+  console.log(`${dryRun ? 'Would update' : 'Updated'} ${rowsUpdated} ledger rows from public links to storage paths`);
+})().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
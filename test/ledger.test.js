@@ -0,0 +1,83 @@
+// The ledger repository over a local store - entity routing, intercompany pairs and the audit trail
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStore, getSheetWithHeaders } = require('../netlify/functions/lib/storage');
+const {
+  getLedgerEntries, prepareLedgerForWrite, findEntryById, updateEntryValues, writeLedgerRows,
+  buildAuditRow, getAuditRows, isCounted, VOIDED_STATUS
+} = require('../netlify/functions/lib/ledger');
+
+function openStore() {
+  return new LocalStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'expense-tracker-')), 'store.json')).load();
+}
+
+function expenseRow(values) {
+  return {
+    'Date': '2026-03-14', 'Vendor': 'Staples', 'Category': 'Office Supplies', 'Amount': 45,
+    'Business Type': 'business', 'Entity': 'scorp', 'Logged At': new Date().toISOString(), ...values
+  };
+}
+
+test('rows go to their entity tab and the master view, with their audit rows', async () => {
+  const doc = openStore();
+  const rows = [
+    expenseRow({ 'Entry ID': 'A001' }),
+    expenseRow({ 'Entry ID': 'A002', 'Entity': 'family_llc', 'Category': 'Contract Labor' }),
+    expenseRow({ 'Entry ID': 'A003', 'Business Type': 'personal' })
+  ];
+  await writeLedgerRows(doc, rows, rows.map(row => buildAuditRow({ chatId: '111' }, 'add', row['Entry ID'], null, row)));
+
+  assert.deepEqual((await doc.sheetsByTitle['S-Corp'].getRows()).map(row => row.get('Entry ID')), ['A001']);
+  assert.deepEqual((await doc.sheetsByTitle['Family LLC'].getRows()).map(row => row.get('Entry ID')), ['A002']);
+  assert.deepEqual((await doc.sheetsByTitle.Personal.getRows()).map(row => row.get('Entry ID')), ['A003']);
+  assert.equal((await doc.sheetsByTitle.Sheet1.getRows()).length, 3);
+  assert.deepEqual((await getAuditRows(doc)).map(row => row.get('Action')), ['add', 'add', 'add']);
+
+  // An entry is its entity-tab row together with its master copy
+  const entries = await getLedgerEntries(doc);
+  assert.equal(entries.length, 3);
+  assert.deepEqual(entries.map(entry => entry.rows.length), [2, 2, 2]);
+});
+
+test('updates reach every copy, move the entry between tabs and follow the intercompany twin', async () => {
+  const doc = openStore();
+  const fee = expenseRow({ 'Entry ID': 'F001', 'Category': 'Management Services', 'Amount': 1100, 'Linked Entry': 'F002' });
+  const income = expenseRow({ 'Entry ID': 'F002', 'Entity': 'family_llc', 'Business Type': 'intercompany_income', 'Amount': 1100, 'Linked Entry': 'F001' });
+  await writeLedgerRows(doc, [fee, income], []);
+
+  let entries = await prepareLedgerForWrite(doc);
+  const linked = await updateEntryValues(doc, entries, findEntryById(entries, '#f001'), { 'Amount': 1200, 'Vendor': 'Family LLC' });
+  assert.equal(linked.row.get('Entry ID'), 'F002');
+
+  entries = await getLedgerEntries(doc);
+  assert.deepEqual(findEntryById(entries, 'F001').rows.map(row => row.get('Amount')), ['1200', '1200']);
+  assert.equal(findEntryById(entries, 'F002').row.get('Amount'), '1200');
+  // Only the shared columns cross over
+  assert.equal(findEntryById(entries, 'F002').row.get('Vendor'), 'Staples');
+
+  await updateEntryValues(doc, entries, findEntryById(entries, 'F001'), { 'Business Type': 'personal' });
+  entries = await getLedgerEntries(doc);
+  assert.equal(findEntryById(entries, 'F001').tab, 'Personal');
+  assert.equal((await doc.sheetsByTitle['S-Corp'].getRows()).length, 0);
+
+  await updateEntryValues(doc, entries, findEntryById(entries, 'F001'), { 'Status': VOIDED_STATUS });
+  entries = await getLedgerEntries(doc);
+  assert.equal(isCounted(findEntryById(entries, 'F001').row), false);
+  assert.equal(isCounted(findEntryById(entries, 'F002').row), false);
+});
+
+test('rows from before entry IDs and newer columns are brought up to date before a write', async () => {
+  const doc = openStore();
+  const sheet = await getSheetWithHeaders(doc, 'Sheet1', ['Date', 'Vendor', 'Amount']);
+  await sheet.addRows([{ 'Date': '2024-01-05', 'Vendor': 'Old Vendor', 'Amount': 10 }]);
+
+  assert.equal((await getLedgerEntries(doc))[0].row.get('Entry ID'), undefined);
+
+  const entries = await prepareLedgerForWrite(doc);
+  assert.match(entries[0].row.get('Entry ID'), /^[0-9A-F]{4}$/);
+  assert.ok(doc.sheetsByTitle.Sheet1.headerValues.includes('Linked Entry'));
+  assert.equal((await sheet.getRows())[0].get('Entry ID'), entries[0].row.get('Entry ID'));
+});
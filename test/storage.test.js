@@ -0,0 +1,75 @@
+// LocalStore - the STORAGE_BACKEND=local stand-in for the Google Sheet
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStore, getSheetWithHeaders } = require('../netlify/functions/lib/storage');
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'expense-tracker-')), 'store.json');
+}
+
+test('rows written through one store are read back by another', async () => {
+  const filePath = tempFile();
+  const writer = new LocalStore(filePath).load();
+  const sheet = await getSheetWithHeaders(writer, 'Budgets', ['Category', 'Limit']);
+  await sheet.addRows([{ Category: 'Travel Expenses', Limit: 500 }, { Category: 'Business Meals' }]);
+
+  const reader = new LocalStore(filePath).load();
+  const rows = await reader.sheetsByTitle.Budgets.getRows();
+  assert.deepEqual(rows.map(row => row.toObject()), [
+    { Category: 'Travel Expenses', Limit: '500' },
+    { Category: 'Business Meals', Limit: '' }
+  ]);
+  assert.equal(rows[1].get('Limit'), undefined);
+  assert.equal(rows[1].rowNumber, 3);
+});
+
+test('missing columns are appended to an existing tab', async () => {
+  const store = new LocalStore(tempFile()).load();
+  await getSheetWithHeaders(store, 'Budgets', ['Category']);
+  const sheet = await getSheetWithHeaders(store, 'Budgets', ['Category', 'Limit']);
+  assert.deepEqual(sheet.headerValues, ['Category', 'Limit']);
+  const row = await sheet.addRow({ Category: 'Travel Expenses' });
+  assert.throws(() => row.set('Period', 'monthly'), /Column "Period" not found/);
+});
+
+test('saving a row keeps what another process wrote since it was read', async () => {
+  const filePath = tempFile();
+  const first = new LocalStore(filePath).load();
+  const sheet = await getSheetWithHeaders(first, 'Drafts', ['Draft ID', 'Status']);
+  await sheet.addRows([{ 'Draft ID': 'A', Status: 'open' }, { 'Draft ID': 'B', Status: 'open' }]);
+  const [rowA] = await sheet.getRows();
+
+  // Another invocation saves B and adds C while this one still holds A
+  const second = new LocalStore(filePath).load();
+  const [, rowB] = await second.sheetsByTitle.Drafts.getRows();
+  rowB.set('Status', 'saved');
+  await rowB.save();
+  await second.sheetsByTitle.Drafts.addRow({ 'Draft ID': 'C', Status: 'open' });
+
+  rowA.set('Status', 'cancelled');
+  await rowA.save();
+
+  const rows = await new LocalStore(filePath).load().sheetsByTitle.Drafts.getRows();
+  assert.deepEqual(rows.map(row => [row.get('Draft ID'), row.get('Status')]), [
+    ['A', 'cancelled'], ['B', 'saved'], ['C', 'open']
+  ]);
+});
+
+test('deleting a row moves the rows below it up', async () => {
+  const store = new LocalStore(tempFile()).load();
+  const sheet = await getSheetWithHeaders(store, 'Searches', ['Search ID']);
+  await sheet.addRows([{ 'Search ID': '1' }, { 'Search ID': '2' }, { 'Search ID': '3' }]);
+  const [one, two, three] = await sheet.getRows();
+
+  await one.delete();
+  assert.equal(two.rowNumber, 2);
+  assert.equal(three.rowNumber, 3);
+
+  three.set('Search ID', '3b');
+  await three.save();
+  assert.deepEqual((await sheet.getRows()).map(row => row.get('Search ID')), ['2', '3b']);
+  await assert.rejects(one.save(), /has been deleted/);
+});
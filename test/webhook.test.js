@@ -0,0 +1,117 @@
+// The whole bot offline: a local JSON store, the keyword rules instead of the AI and Telegram stubbed out
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'expense-tracker-')), 'store.json');
+process.env.AI_PROVIDER = 'offline';
+process.env.TELEGRAM_TOKEN = 'test-token';
+process.env.AUTHORIZED_CHAT_IDS = '111';
+
+const { processUpdate } = require('../netlify/functions/webhook');
+const { openLocalStore } = require('../netlify/functions/lib/storage');
+const { getLedgerEntries } = require('../netlify/functions/lib/ledger');
+
+const CHAT_ID = 111;
+const sent = [];
+let updateId = 0;
+
+before(() => {
+  global.fetch = async (url, options = {}) => {
+    assert.match(String(url), /^https:\/\/api\.telegram\.org\/bottest-token\//);
+    sent.push({ method: String(url).split('/').pop(), body: JSON.parse(options.body || '{}') });
+    return { ok: true, status: 200, json: async () => ({ ok: true, result: { message_id: sent.length } }) };
+  };
+});
+
+function sendText(text) {
+  updateId += 1;
+  return processUpdate({
+    update_id: updateId,
+    message: { message_id: updateId, chat: { id: CHAT_ID }, from: { id: CHAT_ID, username: 'liza' }, text }
+  });
+}
+
+function pressButton(data, messageId) {
+  updateId += 1;
+  return processUpdate({
+    update_id: updateId,
+    callback_query: { id: `cb${updateId}`, data, from: { id: CHAT_ID, username: 'liza' }, message: { message_id: messageId, chat: { id: CHAT_ID } } }
+  });
+}
+
+function lastMessage() {
+  return sent.filter(call => ['sendMessage', 'editMessageText'].includes(call.method)).pop().body;
+}
+
+async function ledger() {
+  return (await getLedgerEntries(openLocalStore())).map(({ row, tab }) => ({
+    id: row.get('Entry ID'), tab, vendor: row.get('Vendor'), amount: row.get('Amount'), status: row.get('Status')
+  }));
+}
+
+test('a message becomes a draft, and saving the draft writes the entry', async () => {
+  await sendText('$45.20 Staples printer paper');
+  const draft = lastMessage();
+  assert.match(draft.text, /Review Expense/);
+  const save = draft.reply_markup.inline_keyboard.flat().find(button => button.callback_data.endsWith(':save'));
+  assert.deepEqual(await ledger(), []);
+
+  await pressButton(save.callback_data, sent.length);
+  assert.match(lastMessage().text, /Expense Added/);
+  const [{ id, ...entry }] = await ledger();
+  assert.match(id, /^[0-9A-F]{4}$/);
+  assert.deepEqual(entry, { tab: 'S-Corp', vendor: 'Staples', amount: '45.2', status: undefined });
+});
+
+test('edits and undo go through to the stored entry', async () => {
+  const [{ id }] = await ledger();
+
+  await sendText(`/edit ${id} amount 50`);
+  assert.equal((await ledger())[0].amount, '50');
+
+  await sendText('/undo');
+  assert.equal((await ledger())[0].amount, '45.2');
+
+  await sendText('/recent');
+  assert.match(lastMessage().text, new RegExp(id));
+});
+
+test('a deleted entry is voided, not removed, and undo brings it back', async () => {
+  const [{ id }] = await ledger();
+
+  await sendText(`/delete ${id}`);
+  assert.equal((await ledger())[0].status, 'Voided');
+
+  await sendText('/undo');
+  assert.equal((await ledger())[0].status, undefined);
+});
+
+test('a weekday only dates the expense when it reads as a date', async () => {
+  const today = new Date().toISOString().split('T')[0];
+
+  await sendText('$60 Sunday brunch with client');
+  assert.match(lastMessage().text, new RegExp(`Date: ${today}`));
+
+  await sendText('$18 Friday Harbor ferry');
+  assert.match(lastMessage().text, new RegExp(`Date: ${today}`));
+
+  await sendText('$60 client lunch last sunday');
+  const [, date] = lastMessage().text.match(/Date: (\d{4}-\d{2}-\d{2})/);
+  assert.notEqual(date, today);
+  assert.equal(new Date(`${date}T00:00:00Z`).getUTCDay(), 0);
+});
+
+test('a foreign amount converted at an earlier year\'s average is flagged for review', async () => {
+  await sendText('€40 taxi to the airport 2026-03-02');
+  assert.match(lastMessage().text, /2025 average/);
+  assert.match(lastMessage().text, /no EUR rate for this year on file yet/);
+
+  await sendText('/rate EUR 1.17 2026-01-01');
+  await sendText('€40 taxi to the airport 2026-03-02');
+  assert.match(lastMessage().text, /\$46\.8 .*rate from 2026-01-01/);
+  assert.doesNotMatch(lastMessage().text, /on file yet/);
+});